@@ -14,6 +14,8 @@ app.use(express.urlencoded({ extended: true }));
 
 // takes product information from json and stores in var products
 var products = require('./products.json');
+// amounts in whole cents, so totals don't drift
+var money = require('./money.js');
 // keep track of quantity sold 
 products.forEach((prod, i) => { prod.total_avail = 0 });
 
@@ -80,11 +82,12 @@ app.post("/process_form", function (request, response, next) {
     // shows in the console the values received 
     console.log(Date.now() + ': Purchase made from ip ' + request.ip + ' data: ' + JSON.stringify(POST));
 
-    var contents = fs.readFileSync('./invoice.template', 'utf8');
+    var contents = fs.readFileSync('./invoice.html', 'utf8');
     response.send(eval('`' + contents + '`')); // render template string
 
+    // amounts are in cents (see money.js) so the totals don't drift
     function display_invoice_table_rows() {
-        subtotal = 0;
+        subtotal_cents = 0;
         str = '';
         for (i = 0; i < products.length; i++) {
             a_qty = 0;
@@ -95,33 +98,34 @@ app.post("/process_form", function (request, response, next) {
             // if the quantity is greater than 0, carry out calculations for extended price & subtotal
             if (a_qty > 0) {
                 // product row
-                extended_price = a_qty * products[i].price
-                subtotal += extended_price;
+                extended_price_cents = a_qty * money.to_cents(products[i].price);
+                subtotal_cents += extended_price_cents;
                 str += (`
           <tr>
             <td width="43%">${products[i].name}</td>
             <td align="center" width="11%">${a_qty}</td>
-            <td width="13%">\$${products[i].price}</td>
-            <td width="54%">\$${extended_price}</td>
+            <td width="13%">${money.format(money.to_cents(products[i].price))}</td>
+            <td width="54%">${money.format(extended_price_cents)}</td>
           </tr>
           `);
             }
         }
         // Compute tax
         tax_rate = 0.04;
-        tax = tax_rate * subtotal;
-
-        // Compute shipping
-        if (subtotal <= 45) {
-            shipping = 10;
-        } else if (subtotal <= 100) {
-            shipping = 10;
+        tax_cents = money.percent_of(subtotal_cents, tax_rate);
+
+        // Compute shipping, the rates listed on the invoice. Same limits as the Assignment 3 store's
+        // shipping_methods.json: under $45, under $100, then $100 and up
+        if (subtotal_cents < 4500) {
+            shipping_cents = 1000;
+        } else if (subtotal_cents < 10000) {
+            shipping_cents = 1500;
         } else {
-            shipping = 0.07 * subtotal; // 7% of subtotal
+            shipping_cents = money.percent_of(subtotal_cents, 0.07); // 7% of subtotal
         }
 
         // Compute grand total
-        total = subtotal + tax + shipping;
+        total_cents = subtotal_cents + tax_cents + shipping_cents;
 
         return str;
     }
@@ -0,0 +1,50 @@
+/*
+* Author: Nicole Tommee
+* Shipping addresses: checks the address form and keeps just the fields an order needs
+*/
+
+// US state and territory codes we ship to
+var states = ['AK', 'AL', 'AR', 'AS', 'AZ', 'CA', 'CO', 'CT', 'DC', 'DE', 'FL', 'GA', 'GU', 'HI', 'IA', 'ID', 'IL', 'IN', 'KS', 'KY', 'LA',
+    'MA', 'MD', 'ME', 'MI', 'MN', 'MO', 'MP', 'MS', 'MT', 'NC', 'ND', 'NE', 'NH', 'NJ', 'NM', 'NV', 'NY', 'OH', 'OK', 'OR', 'PA', 'PR',
+    'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VA', 'VI', 'VT', 'WA', 'WI', 'WV', 'WY'];
+
+// the address fields from a form (or JSON body), trimmed, with the state in capitals
+function address_from(form) {
+    var address = {};
+    for (let field of ['name', 'street', 'city', 'state', 'county', 'zip']) {
+        address[field] = (typeof form[field] == 'string') ? form[field].trim() : '';
+    }
+    address.state = address.state.toUpperCase();
+    return address;
+}
+
+// checks an address from address_from(). counties is the list to pick from for its state ([] if the county doesn't matter).
+// Returns an errors object keyed by field name, empty if the address is ok
+function validate_address(address, counties) {
+    var errors = {};
+    if (address.name == '') {
+        errors['name'] = 'Please enter the name to ship to';
+    }
+    if (address.street == '') {
+        errors['street'] = 'Please enter a street address';
+    }
+    if (address.city == '') {
+        errors['city'] = 'Please enter a city';
+    }
+    if (states.indexOf(address.state) == -1) {
+        errors['state'] = 'Please enter a 2 letter state, like HI';
+    }
+    if (counties.length > 0 && !counties.some(county => county.toLowerCase() == address.county.toLowerCase())) {
+        errors['county'] = `Please pick a county: ${counties.join(', ')}`;
+    }
+    if (!/^\d{5}(-\d{4})?$/.test(address.zip)) {
+        errors['zip'] = 'Please enter a 5 digit ZIP code, like 96822';
+    }
+    return errors;
+}
+
+module.exports = {
+    states: states,
+    address_from: address_from,
+    validate_address: validate_address
+};
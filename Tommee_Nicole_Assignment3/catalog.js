@@ -0,0 +1,129 @@
+/*
+* Author: Nicole Tommee
+* Functions for looking up products by SKU, keeping the shopping cart keyed by SKU, and validating admin catalog changes
+*/
+var fs = require('fs');
+var path = require('path');
+
+// finds the product with this sku. Returns { type, index, product } or undefined if there is no such product
+function find_product(products_data, sku) {
+    for (let type in products_data) {
+        for (let i in products_data[type]) {
+            if (products_data[type][i].sku == sku) {
+                return { type: type, index: Number(i), product: products_data[type][i] };
+            }
+        }
+    }
+    return undefined;
+}
+
+// makes sure every product has a sku and no two products share one, so carts can't point at the wrong item
+function check_skus(products_data) {
+    var seen = {};
+    for (let type in products_data) {
+        for (let product of products_data[type]) {
+            if (typeof product.sku != 'string' || product.sku == '') {
+                throw new Error(`${product.name} in ${type} has no sku`);
+            }
+            if (typeof seen[product.sku] != 'undefined') {
+                throw new Error(`sku ${product.sku} is used by both ${seen[product.sku]} and ${product.name}`);
+            }
+            seen[product.sku] = product.name;
+        }
+    }
+}
+
+// carts used to be { type: [quantity for each array index] }. Converts that shape into { sku: quantity },
+// dropping empty lines and anything that no longer exists. Carts already keyed by sku are returned as is
+function migrate_cart(cart, products_data) {
+    var is_old_cart = false;
+    for (let key in cart) {
+        if (Array.isArray(cart[key])) is_old_cart = true;
+    }
+    if (!is_old_cart) return cart;
+
+    var new_cart = {};
+    for (let key in cart) {
+        if (!Array.isArray(cart[key])) { // already a sku line
+            new_cart[key] = (new_cart[key] || 0) + cart[key];
+            continue;
+        }
+        for (let i in cart[key]) {
+            let quantity = Number(cart[key][i]);
+            if (!(quantity > 0) || typeof products_data[key] == 'undefined' || typeof products_data[key][i] == 'undefined') continue;
+            let sku = products_data[key][i].sku;
+            new_cart[sku] = (new_cart[sku] || 0) + quantity;
+        }
+    }
+    return new_cart;
+}
+
+// returns a copy of products_data without retired products, this is what shoppers get to see
+function active_products(products_data) {
+    var active = {};
+    for (let type in products_data) {
+        active[type] = products_data[type].filter(product => product.retired != true);
+    }
+    return active;
+}
+
+// checks a category name from the admin form. Returns an errors object, empty if the name is ok
+function validate_category(name, products_data) {
+    var errors = {};
+    if (typeof name != 'string' || name.trim() == '') {
+        errors['category'] = 'You need to enter a category name!';
+    } else if (typeof products_data[name.trim()] != 'undefined') {
+        errors['category'] = `${name.trim()} is already a category`;
+    }
+    return errors;
+}
+
+// checks the fields of the admin add/edit product form. editing_sku is the sku of the product being edited
+// (undefined when adding one). images_dir is where the product images are served from.
+// Returns an errors object keyed by field name, empty if everything is ok
+function validate_product(form, products_data, images_dir, editing_sku) {
+    var errors = {};
+    if (typeof editing_sku == 'undefined') {
+        if (typeof products_data[form.category] == 'undefined') {
+            errors['category'] = 'Please pick an existing category';
+        }
+        var sku_format = /^[A-Z0-9-]+$/;
+        if (!sku_format.test(form.sku || '')) {
+            errors['sku'] = 'SKU must have capital letters, numbers and dashes only';
+        } else if (typeof find_product(products_data, form.sku) != 'undefined') {
+            errors['sku'] = `SKU ${form.sku} is already used`;
+        }
+    }
+    if (typeof form.name != 'string' || form.name.trim() == '') {
+        errors['name'] = 'You need to enter a product name!';
+    }
+    // price must be a positive amount with at most 2 decimal places
+    var price_format = /^\d+(\.\d{1,2})?$/;
+    if (!price_format.test(form.price || '') || Number(form.price) <= 0) {
+        errors['price'] = 'Price must be a dollar amount greater than 0, like 22.00';
+    }
+    // weight in pounds is used to price shipping (gift cards are emailed, so they weigh 0)
+    var weight_format = /^\d+(\.\d{1,2})?$/;
+    if (!weight_format.test(form.weight || '')) {
+        errors['weight'] = 'Weight must be in pounds, like 0.75 (0 for gift cards)';
+    }
+    if (typeof form.image != 'string' || !/^[\w.-]+$/.test(form.image)) {
+        errors['image'] = 'You need to enter an image file name!';
+    } else if (!fs.existsSync(path.join(images_dir, form.image))) {
+        errors['image'] = `There is no image called ${form.image} in public/images`;
+    }
+    var quantity_format = /^\d+$/;
+    if (!quantity_format.test(form.quantity_available || '')) {
+        errors['quantity_available'] = 'Quantity available must be a whole number 0 or greater';
+    }
+    return errors;
+}
+
+module.exports = {
+    find_product: find_product,
+    check_skus: check_skus,
+    migrate_cart: migrate_cart,
+    active_products: active_products,
+    validate_category: validate_category,
+    validate_product: validate_product
+};
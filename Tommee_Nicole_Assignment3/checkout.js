@@ -0,0 +1,75 @@
+/*
+* Author: Nicole Tommee
+* The checkout steps, in order, and how far this session has got through them.
+* Progress is kept in the session as session.checkout = { done: [step ids] }, so a shopper can leave and come back,
+* and a step can't be skipped by typing its address in. Changing the cart starts the checkout over.
+* Shoppers who aren't logged in (guests) start with a step for their name and email
+*/
+
+var steps = [
+    { id: 'contact', name: 'Your Details', guest: true },
+    { id: 'review', name: 'Review Cart' },
+    { id: 'shipping_address', name: 'Shipping Address' },
+    { id: 'shipping_method', name: 'Shipping Method' },
+    { id: 'payment', name: 'Payment' },
+    { id: 'confirm', name: 'Confirm' }
+];
+
+// the steps for session, guest steps are only for shoppers who aren't logged in
+function steps_for(session) {
+    return steps.filter(checkout_step => checkout_step.guest != true || typeof session['username'] == 'undefined');
+}
+
+// the step with id for session, or undefined
+function step(session, id) {
+    return steps_for(session).find(checkout_step => checkout_step.id == id);
+}
+
+// the ids of the steps session has done
+function done(session) {
+    return (typeof session.checkout != 'undefined') ? session.checkout.done : [];
+}
+
+// the first step session hasn't done, where the checkout picks up
+function current_step(session) {
+    var session_steps = steps_for(session);
+    return session_steps.find(checkout_step => done(session).indexOf(checkout_step.id) == -1) || session_steps[session_steps.length - 1];
+}
+
+// true if every step before the step with id is done, so it can be shown
+function can_show(session, id) {
+    var session_steps = steps_for(session);
+    var index = session_steps.findIndex(checkout_step => checkout_step.id == id);
+    return index != -1 && session_steps.slice(0, index).every(checkout_step => done(session).indexOf(checkout_step.id) != -1);
+}
+
+// marks the step with id done
+function complete(session, id) {
+    if (typeof session.checkout == 'undefined') {
+        session.checkout = { done: [] };
+    }
+    if (session.checkout.done.indexOf(id) == -1) {
+        session.checkout.done.push(id);
+    }
+}
+
+// true when everything up to the confirm step is done, so the order can be placed
+function ready(session) {
+    return can_show(session, 'confirm');
+}
+
+// starts the checkout over
+function reset(session) {
+    delete session.checkout;
+}
+
+module.exports = {
+    steps_for: steps_for,
+    step: step,
+    done: done,
+    current_step: current_step,
+    can_show: can_show,
+    complete: complete,
+    ready: ready,
+    reset: reset
+};
@@ -0,0 +1,135 @@
+/*
+* Author: Nicole Tommee
+* Coupon codes from coupons.json, and how many times each one has been used (coupon_usage.json).
+* A coupon is { description, type: "percent" or "fixed", percent or amount (dollars), min_subtotal (dollars),
+* expires ("YYYY-MM-DD", good through the end of that day), usage_limit (for everyone), per_user_limit,
+* categories (only items in these categories get the discount) }. Everything but type and percent/amount is optional
+*/
+var json_store = require('./json_store.js');
+var money = require('./money.js');
+
+var coupons = {}; // { CODE: coupon }
+var usage_filename;
+var usage = {}; // { CODE: { total: times used, users: { username: times used } } }
+
+// reads coupons.json and coupon_usage.json (starts with no uses if there isn't one yet)
+function load(filename, used_filename) {
+    coupons = json_store.read_json(filename, {});
+    usage_filename = used_filename;
+    usage = json_store.read_json(usage_filename, {});
+}
+
+// codes are not case sensitive, they are kept in capitals
+function normalize(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+// works out the discount of code on an order. lines are the quote lines ({ category, extended_price_cents,
+// promotion_discount_cents }) and subtotal_cents is after any promotions, so the coupon is on what's left to pay.
+// The coupon is only on the items in its categories (every item if it doesn't have any categories).
+// username is '' or undefined when nobody is logged in, now is the time of the order.
+// Returns { error: message } if the code can't be used, or { code, description, categories, discount_cents }
+function discount_for(code, lines, subtotal_cents, username, now = new Date()) {
+    code = normalize(code);
+    var coupon = coupons[code];
+    if (typeof coupon == 'undefined') {
+        return { error: `${code} is not a valid coupon code` };
+    }
+    if (typeof coupon.expires != 'undefined' && now > new Date(coupon.expires + 'T23:59:59.999')) {
+        return { error: `Coupon ${code} expired on ${coupon.expires}` };
+    }
+    if (typeof coupon.min_subtotal != 'undefined' && subtotal_cents < money.to_cents(coupon.min_subtotal)) {
+        return { error: `Coupon ${code} needs a subtotal of at least ${money.format(money.to_cents(coupon.min_subtotal))}` };
+    }
+    var error = limit_error(code, username);
+    if (typeof error != 'undefined') {
+        return { error: error };
+    }
+    // only items in the coupon's categories count towards the discount
+    var eligible_cents = 0;
+    for (let line of lines) {
+        if (applies_to(coupon.categories, line)) {
+            eligible_cents += line.extended_price_cents - (line.promotion_discount_cents || 0);
+        }
+    }
+    if (eligible_cents <= 0) {
+        return { error: (typeof coupon.categories != 'undefined') ? `Coupon ${code} is only for ${coupon.categories.join(', ')}` : `There is nothing left to take coupon ${code} off` };
+    }
+    var discount_cents = (coupon.type == 'percent') ? money.percent_of(eligible_cents, coupon.percent / 100) : money.to_cents(coupon.amount);
+    return {
+        code: code,
+        description: coupon.description,
+        categories: coupon.categories, // kept with the order, so a refund shares the discount over the same items
+        discount_cents: Math.min(discount_cents, eligible_cents) // never more than the items it's for
+    };
+}
+
+// why username can't use code again because of its usage limits, or undefined if they can.
+// Checked when the order is priced, and again right before it is placed in case other orders used it up meanwhile
+function limit_error(code, username) {
+    code = normalize(code);
+    var coupon = coupons[code];
+    if (typeof coupon == 'undefined') {
+        return `${code} is not a valid coupon code`;
+    }
+    var used = usage[code] || { total: 0, users: {} };
+    if (typeof coupon.usage_limit != 'undefined' && used.total >= coupon.usage_limit) {
+        return `Coupon ${code} has been used up`;
+    }
+    if (typeof coupon.per_user_limit != 'undefined') {
+        if (!username) {
+            return `Please log in to use coupon ${code}`;
+        }
+        if ((used.users[username] || 0) >= coupon.per_user_limit) {
+            return `You have already used coupon ${code}`;
+        }
+    }
+    return undefined;
+}
+
+// true if a coupon for categories takes money off line. A coupon without categories is for every item
+function applies_to(categories, line) {
+    return typeof categories == 'undefined' || categories.indexOf(line.category) != -1;
+}
+
+// adds change (1 or -1) to the uses of code by username and saves it. Throws if it couldn't be saved,
+// and then the uses are what they were
+function count_use(code, username, change) {
+    code = normalize(code);
+    if (typeof usage[code] == 'undefined') {
+        usage[code] = { total: 0, users: {} };
+    }
+    usage[code].total += change;
+    if (username) {
+        usage[code].users[username] = (usage[code].users[username] || 0) + change;
+    }
+    try {
+        json_store.write_json(usage_filename, usage);
+    } catch (err) {
+        usage[code].total -= change;
+        if (username) {
+            usage[code].users[username] -= change;
+        }
+        throw err;
+    }
+}
+
+// counts one use of code by username, as part of placing the order. Throws if it couldn't be saved
+function redeem(code, username) {
+    count_use(code, username, 1);
+}
+
+// takes back the use of code by username for an order that could not be placed after all
+function unredeem(code, username) {
+    count_use(code, username, -1);
+}
+
+module.exports = {
+    load: load,
+    normalize: normalize,
+    discount_for: discount_for,
+    limit_error: limit_error,
+    applies_to: applies_to,
+    redeem: redeem,
+    unredeem: unredeem
+};
@@ -0,0 +1,105 @@
+/*
+* Author: Nicole Tommee
+* Gift cards bought in the store, kept in gift_cards.json. Each card has a random code and a balance in cents
+* that goes down as it's used, so a card can pay for part of an order and the rest of it is kept for later
+*/
+var crypto = require('crypto');
+var json_store = require('./json_store.js');
+
+var cards_filename;
+var cards = {}; // { CODE: { initial_cents, balance_cents, issued, purchased_by, history: [{ time, change_cents, reason }] } }
+
+// reads gift_cards.json (starts with no cards if there isn't one yet)
+function load(filename) {
+    cards_filename = filename;
+    cards = json_store.read_json(cards_filename, {});
+}
+
+// codes are typed in by shoppers, so ignore case and extra spaces
+function normalize(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+// a new random code like 7K2P-QX9M-D4HA-ZT6W, without letters and numbers that look alike (O and 0, I and 1)
+function new_code() {
+    var characters = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    var code;
+    do {
+        let bytes = crypto.randomBytes(16);
+        code = Array.from(bytes, byte => characters[byte % characters.length]).join('').match(/.{4}/g).join('-');
+    } while (typeof cards[code] != 'undefined');
+    return code;
+}
+
+// makes a new card worth amount_cents, bought by username. Returns its code
+function issue(amount_cents, username, reason) {
+    var code = new_code();
+    var time = new Date().toISOString();
+    cards[code] = {
+        initial_cents: amount_cents,
+        balance_cents: amount_cents,
+        issued: time,
+        purchased_by: username,
+        history: [{ time: time, change_cents: amount_cents, reason: reason }]
+    };
+    try {
+        json_store.write_json(cards_filename, cards);
+    } catch (err) {
+        // not saved, so the card was never made
+        delete cards[code];
+        throw err;
+    }
+    return code;
+}
+
+// what is left on the card with code, or undefined if there is no such card
+function balance(code) {
+    var card = cards[normalize(code)];
+    return (typeof card != 'undefined') ? card.balance_cents : undefined;
+}
+
+// takes amount_cents off the card with code (reason says what it paid for). Throws if the card doesn't have that much
+function redeem(code, amount_cents, reason) {
+    code = normalize(code);
+    var card = cards[code];
+    if (typeof card == 'undefined' || card.balance_cents < amount_cents) {
+        throw new Error(`Gift card ${code} does not have ${amount_cents} cents on it`);
+    }
+    card.balance_cents -= amount_cents;
+    card.history.push({ time: new Date().toISOString(), change_cents: -amount_cents, reason: reason });
+    try {
+        json_store.write_json(cards_filename, cards);
+    } catch (err) {
+        // not saved, so the card still has its money
+        card.balance_cents += amount_cents;
+        card.history.pop();
+        throw err;
+    }
+}
+
+// puts amount_cents back on the card with code, for a refund of what it paid (reason says what for)
+function refund(code, amount_cents, reason) {
+    code = normalize(code);
+    var card = cards[code];
+    if (typeof card == 'undefined') {
+        throw new Error(`There is no gift card ${code} to refund`);
+    }
+    card.balance_cents += amount_cents;
+    card.history.push({ time: new Date().toISOString(), change_cents: amount_cents, reason: reason });
+    try {
+        json_store.write_json(cards_filename, cards);
+    } catch (err) {
+        card.balance_cents -= amount_cents;
+        card.history.pop();
+        throw err;
+    }
+}
+
+module.exports = {
+    load: load,
+    normalize: normalize,
+    issue: issue,
+    balance: balance,
+    redeem: redeem,
+    refund: refund
+};
@@ -0,0 +1,253 @@
+/*
+* Author: Nicole Tommee
+* Keeps the product stock in products.json. Every change to quantity_available goes through here so that
+* it is checked, applied to all lines at once, saved to disk (or not applied at all), and written to the stock ledger
+*/
+var json_store = require('./json_store.js');
+var catalog = require('./catalog.js');
+var ledger = require('./ledger.js');
+
+var products_filename;
+var products_data;
+var stock_listeners = []; // functions called with (product, quantity before) after a product's stock changes
+
+// reads products.json and returns the products_data object the rest of the server shares.
+// Products the ledger has never seen get an opening entry with their current stock, so the ledger adds up
+function load(filename, ledger_filename) {
+    products_filename = filename;
+    products_data = json_store.read_json(products_filename);
+    catalog.check_skus(products_data);
+    ledger.open(ledger_filename);
+    var known_skus = ledger.known_skus();
+    var openings = [];
+    for (let type in products_data) {
+        for (let product of products_data[type]) {
+            if (known_skus[product.sku] != true) {
+                openings.push({ sku: product.sku, type: 'opening', change: product.quantity_available, reason: 'starting stock' });
+            }
+        }
+    }
+    if (openings.length > 0) ledger.record(openings);
+    return products_data;
+}
+
+// listener(product, quantity_before) is called every time a product's stock changes (after it is saved)
+function on_stock_change(listener) {
+    stock_listeners.push(listener);
+}
+
+// tells the listeners about a change
+function stock_changed(product, quantity_before) {
+    for (let listener of stock_listeners) {
+        try {
+            listener(product, quantity_before);
+        } catch (err) {
+            console.log(err); // a listener failing shouldn't undo a stock change that is already saved
+        }
+    }
+}
+
+// writes products_data back to products.json
+function save() {
+    json_store.write_json(products_filename, products_data);
+}
+
+// saves products_data again after a failed change was taken back out of it, in case the change was already saved.
+// The first error is the one that matters, so this one is only logged
+function save_after_failure() {
+    try {
+        save();
+    } catch (err) {
+        console.log(err);
+    }
+}
+
+// sells the lines of an order ([{ sku, quantity }]) to username as one transaction. reason goes in the stock ledger.
+// available_for(product) says how many of a product this buyer may take (stock not held by other carts).
+// Every line is checked before anything changes; if one line can't be sold, nothing is sold and the errors
+// are returned ({ key: message }). If saving or the ledger fails, the stock is put back and the error is thrown.
+// This runs start to finish without waiting on anything, so two checkouts can never interleave inside it
+function sell(lines, available_for, username, reason = 'order') {
+    var errors = {};
+    var wanted = {}; // total quantity per sku, in case a sku is on more than one line
+    for (let line of lines) {
+        wanted[line.sku] = (wanted[line.sku] || 0) + line.quantity;
+    }
+    for (let sku in wanted) {
+        let found = catalog.find_product(products_data, sku);
+        if (typeof found == 'undefined' || found.product.retired == true) {
+            errors['notFound_' + sku] = `Item ${sku} in your cart is no longer sold`;
+        } else if (wanted[sku] > available_for(found.product)) {
+            errors['notAvailable_' + sku] = `${wanted[sku]} items are not available for ${found.product.name}`;
+        }
+    }
+    if (Object.keys(errors).length > 0) {
+        return errors;
+    }
+
+    var before = {}; // stock before the sale, to roll back to
+    try {
+        for (let sku in wanted) {
+            let product = catalog.find_product(products_data, sku).product;
+            before[sku] = product.quantity_available;
+            product.quantity_available -= wanted[sku];
+        }
+        save();
+        ledger.record(Object.keys(wanted).map(sku => ({ sku: sku, type: 'sale', change: -wanted[sku], reason: reason, user: username })));
+    } catch (err) {
+        for (let sku in before) {
+            catalog.find_product(products_data, sku).product.quantity_available = before[sku];
+        }
+        save_after_failure();
+        throw err;
+    }
+    for (let sku in before) {
+        stock_changed(catalog.find_product(products_data, sku).product, before[sku]);
+    }
+    return {};
+}
+
+// puts the lines ([{ sku, quantity }]) back in stock as one transaction, written to the ledger as type.
+// Returns the stock before, by sku. Throws if it couldn't be saved, and then nothing is put back
+function add_back(lines, type, reason, username) {
+    var returned = {}; // total quantity per sku
+    for (let line of lines) {
+        returned[line.sku] = (returned[line.sku] || 0) + line.quantity;
+    }
+    var before = {};
+    try {
+        for (let sku in returned) {
+            let product = catalog.find_product(products_data, sku).product;
+            before[sku] = product.quantity_available;
+            product.quantity_available += returned[sku];
+        }
+        save();
+        ledger.record(Object.keys(returned).map(sku => ({ sku: sku, type: type, change: returned[sku], reason: reason, user: username })));
+    } catch (err) {
+        for (let sku in before) {
+            catalog.find_product(products_data, sku).product.quantity_available = before[sku];
+        }
+        save_after_failure();
+        throw err;
+    }
+    return before;
+}
+
+// puts back the stock of a sale (lines like sell()) whose order could not be kept, as one transaction.
+// It goes in the ledger as a reversal, and the stock listeners aren't told: the order never happened,
+// so nobody waiting for the item should hear it is back in stock. Throws if it couldn't be saved
+function reverse_sale(lines, username, reason) {
+    add_back(lines, 'reversal', reason, username);
+}
+
+// items of an order (lines like sell()) came back from a customer or the order was cancelled, and can be sold again.
+// They all go back in stock or (if saving fails) none do, so an order is never left with only some of its items back.
+// Throws if it couldn't be saved
+function return_lines(lines, reason, username) {
+    var before = add_back(lines, 'return', reason, username);
+    for (let sku in before) {
+        stock_changed(catalog.find_product(products_data, sku).product, before[sku]);
+    }
+}
+
+// adds change (+ or -) to the stock of one sku, saves it and writes it to the ledger as type
+// (restock or adjustment). Throws if there is no such sku or the stock would go below 0
+function change_stock(sku, change, type, reason, username) {
+    var found = catalog.find_product(products_data, sku);
+    if (typeof found == 'undefined') {
+        throw new Error(`There is no product with sku ${sku}`);
+    }
+    if (found.product.quantity_available + change < 0) {
+        throw new Error(`${found.product.name} only has ${found.product.quantity_available} in stock`);
+    }
+    var before = found.product.quantity_available;
+    found.product.quantity_available += change;
+    try {
+        save();
+        ledger.record([{ sku: sku, type: type, change: change, reason: reason, user: username }]);
+    } catch (err) {
+        found.product.quantity_available = before;
+        save_after_failure();
+        throw err;
+    }
+    stock_changed(found.product, before);
+}
+
+// new stock came in
+function restock(sku, quantity, reason, username) {
+    change_stock(sku, quantity, 'restock', reason, username);
+}
+
+// stock was counted, damaged, found, ... change can be + or -
+function adjust(sku, change, reason, username) {
+    change_stock(sku, change, 'adjustment', reason, username);
+}
+
+// adds a new, empty category of products
+function add_category(type) {
+    products_data[type] = [];
+    try {
+        save();
+    } catch (err) {
+        delete products_data[type];
+        throw err;
+    }
+}
+
+// adds a new product to a category with its starting stock
+function add_product(type, product, username) {
+    products_data[type].push(product);
+    try {
+        save();
+    } catch (err) {
+        products_data[type].pop();
+        throw err;
+    }
+    ledger.record([{ sku: product.sku, type: 'opening', change: product.quantity_available, reason: 'new product', user: username }]);
+    stock_changed(product, 0);
+}
+
+// changes fields of the product with sku that aren't its stock (like { name, price } or { retired }).
+// Stock only changes through the ledger. If saving fails the product gets its old values back and the error is thrown
+function change_product(sku, changes) {
+    var product = catalog.find_product(products_data, sku).product;
+    var old_values = {};
+    for (let field in changes) {
+        old_values[field] = product[field];
+        product[field] = changes[field];
+    }
+    try {
+        save();
+    } catch (err) {
+        Object.assign(product, old_values);
+        throw err;
+    }
+}
+
+// the ledger history of one sku and whether it adds up to the stock in products.json
+function stock_history(sku) {
+    var found = catalog.find_product(products_data, sku);
+    var rows = ledger.history(sku);
+    var ledger_stock = (rows.length > 0) ? rows[rows.length - 1].balance : 0;
+    return {
+        product: (typeof found != 'undefined') ? found.product : undefined,
+        rows: rows,
+        ledger_stock: ledger_stock,
+        matches: typeof found != 'undefined' && ledger_stock == found.product.quantity_available
+    };
+}
+
+module.exports = {
+    load: load,
+    save: save,
+    on_stock_change: on_stock_change,
+    sell: sell,
+    reverse_sale: reverse_sale,
+    return_lines: return_lines,
+    restock: restock,
+    adjust: adjust,
+    add_category: add_category,
+    add_product: add_product,
+    change_product: change_product,
+    stock_history: stock_history
+};
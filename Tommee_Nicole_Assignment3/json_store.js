@@ -0,0 +1,54 @@
+/*
+* Author: Nicole Tommee
+* Helpers for reading and saving the JSON data files (products, users, ...) so that changes survive a restart or crash
+*/
+var fs = require('fs');
+var path = require('path');
+
+// reads and parses a JSON file. If the file is missing or half written, falls back to the backup copy,
+// and if there is no backup either, returns default_value
+function read_json(filename, default_value) {
+    for (let candidate of [filename, filename + '.bak']) {
+        if (!fs.existsSync(candidate)) continue;
+        try {
+            return JSON.parse(fs.readFileSync(candidate, 'utf-8'));
+        } catch (err) {
+            console.log(`Hey! ${candidate} could not be parsed: ${err.message}`);
+        }
+    }
+    if (typeof default_value == 'undefined') {
+        throw new Error(`${filename} does not exist and has no backup`);
+    }
+    return default_value;
+}
+
+// writes data to filename without ever leaving a partial file behind:
+// the JSON goes to a temp file which is flushed to disk, the current file is kept as a .bak copy,
+// then the temp file is renamed over the original (rename is atomic on the same disk)
+function write_json(filename, data) {
+    var tmp_filename = filename + '.tmp';
+    var fd = fs.openSync(tmp_filename, 'w');
+    try {
+        fs.writeSync(fd, JSON.stringify(data, null, 4));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    if (fs.existsSync(filename)) {
+        fs.copyFileSync(filename, filename + '.bak');
+    }
+    fs.renameSync(tmp_filename, filename);
+    // flush the directory entry too so the rename itself survives a crash
+    try {
+        var dir_fd = fs.openSync(path.dirname(filename), 'r');
+        fs.fsyncSync(dir_fd);
+        fs.closeSync(dir_fd);
+    } catch (err) {
+        // some platforms (Windows) can't fsync a directory, the rename is still done
+    }
+}
+
+module.exports = {
+    read_json: read_json,
+    write_json: write_json
+};
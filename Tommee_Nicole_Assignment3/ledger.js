@@ -0,0 +1,81 @@
+/*
+* Author: Nicole Tommee
+* Append-only stock ledger. Every change to a product's quantity_available (sale, restock, adjustment, return, reversal)
+* is written as one JSON line to stock_ledger.jsonl, so the stock shown on the site can always be explained
+*/
+var fs = require('fs');
+
+var ledger_filename;
+
+// sets the file the ledger is kept in
+function open(filename) {
+    ledger_filename = filename;
+}
+
+// reads every entry in the ledger, oldest first
+function read_entries() {
+    if (!fs.existsSync(ledger_filename)) return [];
+    var entries = [];
+    for (let line of fs.readFileSync(ledger_filename, 'utf-8').split('\n')) {
+        if (line.trim() == '') continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (err) {
+            // a crash can leave half a line at the end of the file, skip it
+            console.log(`Skipping bad ledger line: ${line}`);
+        }
+    }
+    return entries;
+}
+
+// adds entries ({ sku, type, change, reason, user }) to the end of the ledger and flushes them to disk.
+// Entries are never changed or removed once written
+function record(entries) {
+    var time = new Date().toISOString();
+    var lines = '';
+    for (let entry of entries) {
+        lines += JSON.stringify({
+            time: time,
+            sku: entry.sku,
+            type: entry.type, // opening, sale, restock, adjustment, return or reversal
+            change: entry.change, // + adds to stock, - takes away
+            reason: entry.reason || '',
+            user: entry.user || ''
+        }) + '\n';
+    }
+    var fd = fs.openSync(ledger_filename, 'a');
+    try {
+        fs.writeSync(fd, lines);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// the ledger entries for one sku, each with the running stock balance after it
+function history(sku) {
+    var balance = 0;
+    var rows = [];
+    for (let entry of read_entries()) {
+        if (entry.sku != sku) continue;
+        balance += entry.change;
+        rows.push(Object.assign({ balance: balance }, entry));
+    }
+    return rows;
+}
+
+// the skus that have at least one entry in the ledger
+function known_skus() {
+    var skus = {};
+    for (let entry of read_entries()) {
+        skus[entry.sku] = true;
+    }
+    return skus;
+}
+
+module.exports = {
+    open: open,
+    record: record,
+    history: history,
+    known_skus: known_skus
+};
@@ -0,0 +1,113 @@
+/*
+* Author: Nicole Tommee
+* A pretend payment provider for payments.js that runs right in the server, so checkout can be tried without charging
+* real cards. Like a real provider's test mode, the card number decides what happens:
+* 4000 0000 0000 0002 is declined, 4000 0000 0000 9995 is declined for insufficient funds,
+* 4000 0000 0000 0119 fails with a processing error, and any other card number is approved.
+* Its transactions are kept in mock_payments.json so they are still there after a restart
+*/
+var crypto = require('crypto');
+var json_store = require('./json_store.js');
+
+var declined_cards = {
+    '4000000000000002': 'Your card was declined',
+    '4000000000009995': 'Your card has insufficient funds'
+};
+var error_cards = ['4000000000000119'];
+
+var transactions_filename;
+var transactions = {}; // { id: { time, description, amount_cents, captured_cents, refunded_cents, status } }
+
+// reads the transactions (starts with none if there isn't a file yet)
+function load(filename) {
+    transactions_filename = filename;
+    transactions = json_store.read_json(transactions_filename, {});
+}
+
+// calls back later, the way an answer from a real provider would come back
+function reply(callback, error, result) {
+    setImmediate(() => callback(error, result));
+}
+
+// a new transaction with status, saved. Throws if it couldn't be saved, and then there is no transaction
+function add_transaction(amount_cents, description, status) {
+    var id = 'mock_' + crypto.randomBytes(8).toString('hex');
+    transactions[id] = { time: new Date().toISOString(), description: description, amount_cents: amount_cents, captured_cents: 0, refunded_cents: 0, status: status };
+    try {
+        json_store.write_json(transactions_filename, transactions);
+    } catch (err) {
+        delete transactions[id];
+        throw err;
+    }
+    return id;
+}
+
+// the transaction with id if it is in status, or an Error saying why not
+function transaction_in(id, status) {
+    var transaction = transactions[id];
+    if (typeof transaction == 'undefined') return new Error(`There is no transaction ${id}`);
+    if (transaction.status != status) return new Error(`Transaction ${id} is ${transaction.status}, not ${status}`);
+    return transaction;
+}
+
+function authorize(amount_cents, card, description, callback) {
+    if (error_cards.indexOf(card.number) != -1) {
+        reply(callback, new Error('The payment processor had an error, please try again later'));
+        return;
+    }
+    if (typeof declined_cards[card.number] != 'undefined') {
+        reply(callback, null, { approved: false, transaction_id: add_transaction(amount_cents, description, 'declined'), message: declined_cards[card.number] });
+        return;
+    }
+    reply(callback, null, { approved: true, transaction_id: add_transaction(amount_cents, description, 'authorized'), message: 'Approved' });
+}
+
+function capture(transaction_id, amount_cents, callback) {
+    var transaction = transaction_in(transaction_id, 'authorized');
+    if (transaction instanceof Error) {
+        reply(callback, transaction);
+        return;
+    }
+    if (amount_cents > transaction.amount_cents) {
+        reply(callback, new Error(`Can't capture more than the ${transaction.amount_cents} cents authorized`));
+        return;
+    }
+    transaction.status = 'captured';
+    transaction.captured_cents = amount_cents;
+    json_store.write_json(transactions_filename, transactions);
+    reply(callback, null, { approved: true, transaction_id: transaction_id, message: 'Captured' });
+}
+
+function void_authorization(transaction_id, callback) {
+    var transaction = transaction_in(transaction_id, 'authorized');
+    if (transaction instanceof Error) {
+        reply(callback, transaction);
+        return;
+    }
+    transaction.status = 'voided';
+    json_store.write_json(transactions_filename, transactions);
+    reply(callback, null, { approved: true, transaction_id: transaction_id, message: 'Voided' });
+}
+
+function refund(transaction_id, amount_cents, callback) {
+    var transaction = transaction_in(transaction_id, 'captured');
+    if (transaction instanceof Error) {
+        reply(callback, transaction);
+        return;
+    }
+    if (transaction.refunded_cents + amount_cents > transaction.captured_cents) {
+        reply(callback, new Error(`Can't refund more than the ${transaction.captured_cents - transaction.refunded_cents} cents left on transaction ${transaction_id}`));
+        return;
+    }
+    transaction.refunded_cents += amount_cents;
+    json_store.write_json(transactions_filename, transactions);
+    reply(callback, null, { approved: true, transaction_id: transaction_id, message: 'Refunded' });
+}
+
+module.exports = {
+    load: load,
+    authorize: authorize,
+    capture: capture,
+    void_authorization: void_authorization,
+    refund: refund
+};
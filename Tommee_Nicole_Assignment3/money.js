@@ -0,0 +1,48 @@
+/*
+* Author: Nicole Tommee
+* Money is kept as a whole number of cents so adding up prices never drifts by a cent.
+* Rounding rules: a percentage of an amount (tax, 7% shipping, ...) is rounded to the nearest cent once,
+* and exactly half a cent rounds up (away from zero, so refunds round the same way as charges).
+* Used by the server (require) and by the browser (/money.js), so both show amounts the same way
+*/
+
+// dollars (a number or string like 22 or "22.00") to cents. Amounts with more than 2 decimals are rounded to the nearest cent
+function to_cents(dollars) {
+    var cents = Number(dollars) * 100;
+    // 0.29 * 100 is 28.999999999999996 in floating point, so round the noise away before rounding to a cent
+    return round_half_up(Number(cents.toFixed(6)));
+}
+
+// rounds to a whole number, halves go away from zero (2.5 -> 3, -2.5 -> -3)
+function round_half_up(amount) {
+    var rounded = Math.round(Math.abs(amount));
+    return (amount < 0) ? -rounded : rounded;
+}
+
+// rate (like 0.04 for 4%) of an amount in cents, rounded to the nearest cent
+function percent_of(cents, rate) {
+    return round_half_up(Number((cents * rate).toFixed(6)));
+}
+
+// cents as a dollar string without the $, like "1234.50"
+function dollars(cents) {
+    var sign = (cents < 0) ? '-' : '';
+    var abs = Math.abs(cents);
+    var remainder = abs % 100;
+    return `${sign}${(abs - remainder) / 100}.${(remainder < 10) ? '0' : ''}${remainder}`;
+}
+
+// cents as money, like "$1234.50" or "-$5.00"
+function format(cents) {
+    return (cents < 0) ? `-$${dollars(-cents)}` : `$${dollars(cents)}`;
+}
+
+if (typeof module != 'undefined') {
+    module.exports = {
+        to_cents: to_cents,
+        round_half_up: round_half_up,
+        percent_of: percent_of,
+        dollars: dollars,
+        format: format
+    };
+}
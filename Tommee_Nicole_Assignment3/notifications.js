@@ -0,0 +1,80 @@
+/*
+* Author: Nicole Tommee
+* "Notify me" subscriptions for sold out products, kept in stock_notifications.json.
+* When a product is restocked, every subscriber gets one email and their subscription is cleared
+*/
+var json_store = require('./json_store.js');
+
+var notifications_filename;
+var subscriptions = {}; // { sku: [{ email, username, time }] }
+var sending = {}; // emails on their way, so a second restock doesn't send them twice
+
+// reads stock_notifications.json (starts with no subscriptions if there isn't one yet)
+function load(filename) {
+    notifications_filename = filename;
+    subscriptions = json_store.read_json(notifications_filename, {});
+}
+
+// signs email up to hear when sku is back in stock. username is '' for shoppers who aren't logged in.
+// Returns false if that email was already signed up for sku
+function subscribe(sku, email, username) {
+    if (typeof subscriptions[sku] == 'undefined') {
+        subscriptions[sku] = [];
+    }
+    if (subscriptions[sku].some(subscription => subscription.email.toLowerCase() == email.toLowerCase())) {
+        return false;
+    }
+    subscriptions[sku].push({ email: email, username: username, time: new Date().toISOString() });
+    json_store.write_json(notifications_filename, subscriptions);
+    return true;
+}
+
+// the subscriptions waiting for sku
+function waiting(sku) {
+    return (subscriptions[sku] || []).slice();
+}
+
+// clears one subscription once its email went out
+function clear(sku, email) {
+    if (typeof subscriptions[sku] == 'undefined') return;
+    subscriptions[sku] = subscriptions[sku].filter(subscription => subscription.email != email);
+    if (subscriptions[sku].length == 0) {
+        delete subscriptions[sku];
+    }
+    json_store.write_json(notifications_filename, subscriptions);
+}
+
+// emails everyone waiting for product through transporter (nodemailer). A subscription is cleared when its
+// email is sent, so it only fires once; if sending fails it stays and is tried again on the next restock
+function send_back_in_stock(product, transporter) {
+    for (let subscription of waiting(product.sku)) {
+        let key = product.sku + ' ' + subscription.email;
+        if (sending[key] == true) continue;
+        sending[key] = true;
+        let mailOptions = {
+            from: 'phoney_store@bogus.com',
+            to: subscription.email,
+            subject: `${product.name} is back in stock!`,
+            html: `
+            <link rel="stylesheet" href="invoice.css">
+            Good news! ${product.name} is back in stock at Nicole's Hello Kitty Squishmallow Store.<br>
+            <img src="./images/${product.image}" width="200"><br>
+            Only ${product.quantity_available} available, so get yours before they're gone!`
+        };
+        transporter.sendMail(mailOptions, function (error, info) {
+            delete sending[key];
+            if (error) {
+                console.log(`Could not send back in stock email for ${product.sku} to ${subscription.email}: ${error.message}`);
+            } else {
+                clear(product.sku, subscription.email);
+            }
+        });
+    }
+}
+
+module.exports = {
+    load: load,
+    subscribe: subscribe,
+    waiting: waiting,
+    send_back_in_stock: send_back_in_stock
+};
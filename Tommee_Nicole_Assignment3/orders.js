@@ -0,0 +1,267 @@
+/*
+* Author: Nicole Tommee
+* Every order placed, kept in orders.json with its order number and what was charged at the time of the sale,
+* so later price changes don't change old orders. Saved through json_store.js so a crash can't lose or half write it.
+* An order moves through placed -> paid -> packed -> shipped -> delivered, or is cancelled before it ships.
+* Once delivered, items can be returned: order.returns is [{ return_number, time, user, lines: [{ sku, name, quantity }],
+* reason, status: "requested", "approved" or "rejected" }] and order.refunds is what refunds.js worked out was paid back
+*/
+var json_store = require('./json_store.js');
+
+// the statuses an order can move to from each status
+var next_statuses = {
+    placed: ['paid', 'cancelled'],
+    paid: ['packed', 'cancelled'],
+    packed: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+var orders_filename;
+var orders_data = { next_number: 1, orders: [] };
+
+// reads orders.json (starts with no orders if there isn't one yet)
+function load(filename) {
+    orders_filename = filename;
+    orders_data = json_store.read_json(orders_filename, orders_data);
+}
+
+// saves orders_data, putting it back the way it was (with undo) if it couldn't be saved
+function save(undo) {
+    try {
+        json_store.write_json(orders_filename, orders_data);
+    } catch (err) {
+        undo();
+        throw err;
+    }
+}
+
+// takes the next order number, like HK-000042. It is saved right away so a number is never given out twice,
+// even if the order it was for didn't go through
+function reserve_number() {
+    var number = orders_data.next_number;
+    orders_data.next_number += 1;
+    save(() => { orders_data.next_number -= 1; });
+    return 'HK-' + String(number).padStart(6, '0');
+}
+
+// the order record for a quote from pricing.js that username is buying. Guests don't have a username,
+// guest is their { fullname, email } instead
+function create(order_number, username, order_quote, guest) {
+    var time = new Date().toISOString();
+    return {
+        order_number: order_number,
+        time: time,
+        username: username,
+        guest: guest,
+        status: 'placed',
+        status_history: [{ status: 'placed', time: time, user: username || 'guest' }],
+        lines: order_quote.lines,
+        subtotal_cents: order_quote.subtotal_cents,
+        promotions: order_quote.promotions,
+        coupon: order_quote.coupon,
+        discount_cents: order_quote.discount_cents,
+        shipping_method: order_quote.shipping_method,
+        pickup: order_quote.pickup,
+        shipping_address: order_quote.shipping_address,
+        billing_address: order_quote.billing_address,
+        tax_exempt: order_quote.tax_exempt,
+        tax_lines: order_quote.tax_lines,
+        tax_cents: order_quote.tax_cents,
+        shipping_cents: order_quote.shipping_cents,
+        total_cents: order_quote.total_cents,
+        payments: order_quote.payments,
+        covered_cents: order_quote.covered_cents,
+        amount_due_cents: order_quote.amount_due_cents,
+        card_payment: order_quote.card_payment
+    };
+}
+
+// saves a new order from create(). Throws if it couldn't be saved
+function place(order) {
+    orders_data.orders.push(order);
+    save(() => { orders_data.orders.pop(); });
+}
+
+// the order with order_number, or undefined
+function find(order_number) {
+    return orders_data.orders.find(order => order.order_number == order_number);
+}
+
+// moves a guest's order to the account they made with username. Throws if it couldn't be saved
+function claim(order_number, username) {
+    var order = find(order_number);
+    var username_before = order.username;
+    order.username = username;
+    save(() => { order.username = username_before; });
+}
+
+// every order, newest first
+function all() {
+    return orders_data.orders.slice().reverse();
+}
+
+// moves the order with order_number to status, username is who changed it.
+// Returns an errors object, empty if the status was changed. Throws if it couldn't be saved
+function change_status(order_number, status, username) {
+    var errors = {};
+    var order = find(order_number);
+    if (typeof order == 'undefined') {
+        errors['order_number'] = `There is no order ${order_number}`;
+    } else if (typeof next_statuses[status] == 'undefined') {
+        errors['status'] = `${status} is not an order status`;
+    } else if (next_statuses[order.status].indexOf(status) == -1) {
+        errors['status'] = `Order ${order_number} is ${order.status}, it can't be ${status}`;
+    }
+    if (Object.keys(errors).length > 0) {
+        return errors;
+    }
+    var status_before = order.status;
+    order.status = status;
+    order.status_history.push({ status: status, time: new Date().toISOString(), user: username });
+    save(() => {
+        order.status = status_before;
+        order.status_history.pop();
+    });
+    return errors;
+}
+
+// how many of sku are in returns on order that weren't rejected
+function returned_quantity(order, sku) {
+    var quantity = 0;
+    for (let order_return of order.returns || []) {
+        if (order_return.status == 'rejected') continue;
+        for (let line of order_return.lines) {
+            if (line.sku == sku) quantity += line.quantity;
+        }
+    }
+    return quantity;
+}
+
+// asks to return items of a delivered order. quantities is { sku: how many } (from a form, so they can be strings),
+// username is who asked. Returns an errors object, empty if the return was saved. Throws if it couldn't be saved
+function request_return(order_number, quantities, reason, username) {
+    var errors = {};
+    var order = find(order_number);
+    if (typeof order == 'undefined') {
+        errors['order_number'] = `There is no order ${order_number}`;
+        return errors;
+    }
+    if (order.status != 'delivered') {
+        errors['status'] = `Order ${order_number} is ${order.status}, only delivered orders can be returned`;
+        return errors;
+    }
+    var lines = [];
+    for (let line of order.lines) {
+        let quantity = String(quantities[line.sku] || '0').trim();
+        if (quantity == '' || quantity == '0') continue;
+        let returnable = line.quantity - returned_quantity(order, line.sku);
+        if (line.gift_card) {
+            errors[`return_${line.sku}`] = `Gift cards can't be returned`;
+        } else if (!/^\d+$/.test(quantity)) {
+            errors[`return_${line.sku}`] = `${quantity} is not a quantity of ${line.name}`;
+        } else if (Number(quantity) > returnable) {
+            errors[`return_${line.sku}`] = `You can only return ${returnable} of ${line.name}`;
+        } else {
+            lines.push({ sku: line.sku, name: line.name, quantity: Number(quantity) });
+        }
+    }
+    if (Object.keys(errors).length == 0 && lines.length == 0) {
+        errors['quantity'] = 'Please enter how many of each item you are returning';
+    }
+    if (Object.keys(errors).length > 0) {
+        return errors;
+    }
+    if (typeof order.returns == 'undefined') {
+        order.returns = [];
+    }
+    order.returns.push({
+        return_number: order.returns.length + 1,
+        time: new Date().toISOString(),
+        user: username,
+        lines: lines,
+        reason: String(reason || '').trim(),
+        status: 'requested'
+    });
+    save(() => { order.returns.pop(); });
+    return errors;
+}
+
+// the return with return_number of order, or undefined
+function find_return(order, return_number) {
+    return (order.returns || []).find(order_return => order_return.return_number == return_number);
+}
+
+// approves or rejects (status) a requested return, username is the admin who did.
+// Returns an errors object, empty if it was saved. Throws if it couldn't be saved
+function resolve_return(order_number, return_number, status, username) {
+    var errors = {};
+    var order = find(order_number);
+    var order_return = (typeof order != 'undefined') ? find_return(order, return_number) : undefined;
+    if (typeof order_return == 'undefined') {
+        errors['return_number'] = `There is no return ${return_number} for order ${order_number}`;
+    } else if (status != 'approved' && status != 'rejected') {
+        errors['status'] = `A return can't be ${status}`;
+    } else if (order_return.status != 'requested') {
+        errors['status'] = `Return ${return_number} for order ${order_number} was already ${order_return.status}`;
+    }
+    if (Object.keys(errors).length > 0) {
+        return errors;
+    }
+    order_return.status = status;
+    order_return.resolved_time = new Date().toISOString();
+    order_return.resolved_by = username;
+    save(() => {
+        order_return.status = 'requested';
+        delete order_return.resolved_time;
+        delete order_return.resolved_by;
+    });
+    return errors;
+}
+
+// changes fields ({ status, captured_cents, ... }) of the card payment (see payments.js) of the order with order_number.
+// Throws if it couldn't be saved
+function update_card_payment(order_number, fields) {
+    var card_payment = find(order_number).card_payment;
+    var before = Object.assign({}, card_payment);
+    Object.assign(card_payment, fields);
+    save(() => {
+        for (let field in fields) delete card_payment[field];
+        Object.assign(card_payment, before);
+    });
+}
+
+// saves a refund (from refunds.js) paid back on the order with order_number. Throws if it couldn't be saved
+function add_refund(order_number, refund) {
+    var order = find(order_number);
+    if (typeof order.refunds == 'undefined') {
+        order.refunds = [];
+    }
+    order.refunds.push(refund);
+    save(() => { order.refunds.pop(); });
+}
+
+// username's orders, newest first
+function for_user(username) {
+    return orders_data.orders.filter(order => order.username == username).reverse();
+}
+
+module.exports = {
+    load: load,
+    reserve_number: reserve_number,
+    create: create,
+    place: place,
+    find: find,
+    claim: claim,
+    all: all,
+    for_user: for_user,
+    next_statuses: next_statuses,
+    change_status: change_status,
+    returned_quantity: returned_quantity,
+    request_return: request_return,
+    find_return: find_return,
+    resolve_return: resolve_return,
+    update_card_payment: update_card_payment,
+    add_refund: add_refund
+};
@@ -0,0 +1,104 @@
+/*
+* Author: Nicole Tommee
+* Card payments, through the payment provider named by payment_provider in store_config.json.
+* A provider is a module with authorize, capture, void_authorization and refund. Each one calls back
+* (error, result) like a request to a payment company would: error is for when the provider couldn't be reached
+* or failed, result is { approved, transaction_id, message }. Authorizing holds an amount on the card,
+* capturing takes it, voiding lets an authorization go without taking anything, and a refund gives captured money back.
+* A provider with a load(filename) function keeps its data in <provider>_payments.json
+*/
+var providers = {
+    mock: require('./mock_payments.js')
+};
+var provider_name = 'mock';
+
+// picks the provider from store_config.json, data_directory is where it keeps its data
+function configure(options, data_directory) {
+    if (typeof options.payment_provider != 'undefined') {
+        if (typeof providers[options.payment_provider] == 'undefined') {
+            throw new Error(`There is no payment provider ${options.payment_provider}`);
+        }
+        provider_name = options.payment_provider;
+    }
+    if (typeof providers[provider_name].load == 'function') {
+        providers[provider_name].load(`${data_directory}/${provider_name}_payments.json`);
+    }
+}
+
+// the name of the provider payments go through
+function provider() {
+    return provider_name;
+}
+
+// the card fields from the checkout form, with the spaces and dashes taken out of the number
+function card_from(form) {
+    return {
+        name: String(form.card_name || '').trim(),
+        number: String(form.card_number || '').replace(/[\s-]/g, ''),
+        expiry: String(form.card_expiry || '').trim(),
+        cvc: String(form.card_cvc || '').trim()
+    };
+}
+
+// the Luhn checksum every card number has, it catches most typos
+function luhn_ok(number) {
+    var sum = 0;
+    for (let i = 0; i < number.length; i++) {
+        let digit = Number(number[number.length - 1 - i]);
+        if (i % 2 == 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 == 0;
+}
+
+// checks a card from card_from() before it is sent to the provider. Returns an errors object keyed by form field
+function validate_card(card, now = new Date()) {
+    var errors = {};
+    if (card.name == '') {
+        errors['card_name'] = 'Please enter the name on the card';
+    }
+    if (!/^\d{13,19}$/.test(card.number) || !luhn_ok(card.number)) {
+        errors['card_number'] = 'Please check your card number';
+    }
+    var expiry = card.expiry.match(/^(\d{2})\/(\d{2})$/);
+    if (expiry == null || Number(expiry[1]) < 1 || Number(expiry[1]) > 12) {
+        errors['card_expiry'] = 'Please enter the expiration date like 08/29';
+    } else if (new Date(2000 + Number(expiry[2]), Number(expiry[1]), 1) <= now) {
+        // a card is good through the end of its month
+        errors['card_expiry'] = 'This card has expired';
+    }
+    if (!/^\d{3,4}$/.test(card.cvc)) {
+        errors['card_cvc'] = 'Please enter the 3 or 4 digit security code';
+    }
+    return errors;
+}
+
+function authorize(amount_cents, card, description, callback) {
+    providers[provider_name].authorize(amount_cents, card, description, callback);
+}
+
+function capture(transaction_id, amount_cents, callback) {
+    providers[provider_name].capture(transaction_id, amount_cents, callback);
+}
+
+function void_authorization(transaction_id, callback) {
+    providers[provider_name].void_authorization(transaction_id, callback);
+}
+
+function refund(transaction_id, amount_cents, callback) {
+    providers[provider_name].refund(transaction_id, amount_cents, callback);
+}
+
+module.exports = {
+    configure: configure,
+    provider: provider,
+    card_from: card_from,
+    validate_card: validate_card,
+    authorize: authorize,
+    capture: capture,
+    void_authorization: void_authorization,
+    refund: refund
+};
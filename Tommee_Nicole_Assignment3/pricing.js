@@ -0,0 +1,122 @@
+/*
+* Author: Nicole Tommee
+* The one place prices, tax and shipping are worked out. cart.html shows a quote from here (through /get_quote)
+* and /confirm_purchase emails the same quote, so the cart and the invoice always agree.
+* All amounts are whole cents (see money.js)
+*/
+var money = require('./money.js');
+var tax = require('./tax.js');
+var shipping = require('./shipping.js');
+var coupons = require('./coupons.js');
+var promotions = require('./promotions.js');
+
+// prices a cart ({ sku: quantity }). find_product(sku) looks up a product ({ type, product } or undefined).
+// options: { coupon_code, username, shipping_method, shipping_address, tax_exempt,
+//            gift_cards: [{ code, balance_cents }], store_credit_cents }.
+// Gift cards bought in the order aren't discounted, shipped or taxed.
+// Automatic promotions come off first (see promotions.js), each line says which one it got.
+// Then a coupon comes off what's left (see coupons.js); if it can't be used, coupon_error says why.
+// discount_cents is both together, and shipping and tax are on the subtotal after discounts.
+// Shipping is priced by the method picked (see shipping.js).
+// Tax comes from the rules for the shipping address (see tax.js), or the store's address for local pickup,
+// so until there is an address needs_address is true and there is no tax yet.
+// Then the gift cards, and the store credit, pay for as much of the total as they can.
+// Returns { lines: [{ sku, category, name, image, gift_card, price_cents, quantity, extended_price_cents,
+//                     promotion: { id, name }, promotion_discount_cents }], subtotal_cents,
+//           promotions: [{ id, name, discount_cents }], promotion_discount_cents,
+//           coupon: { code, description, categories, discount_cents }, coupon_error, discount_cents, weight,
+//           shipping_method: { id, name }, pickup, shipping_address, needs_address, tax_exempt,
+//           tax_lines: [{ name, rate, taxable_cents, tax_cents }], tax_cents, shipping_cents, total_cents,
+//           payments: [{ type: "gift_card" or "store_credit", code, amount_cents }], covered_cents, amount_due_cents }
+function quote(cart, find_product, options = {}) {
+    var lines = [];
+    var subtotal_cents = 0;
+    var weight = 0;
+    for (let sku in cart) {
+        let found = find_product(sku);
+        if (typeof found == 'undefined' || !(cart[sku] > 0)) continue;
+        let price_cents = money.to_cents(found.product.price);
+        let extended_price_cents = cart[sku] * price_cents;
+        subtotal_cents += extended_price_cents;
+        weight += cart[sku] * shipping.weight_of(found.product);
+        lines.push({
+            sku: sku,
+            category: found.type,
+            name: found.product.name,
+            image: found.product.image,
+            gift_card: (found.product.gift_card == true),
+            price_cents: price_cents,
+            quantity: cart[sku],
+            extended_price_cents: extended_price_cents
+        });
+    }
+    var merchandise_lines = lines.filter(line => !line.gift_card);
+    var merchandise_cents = merchandise_lines.reduce((total, line) => total + line.extended_price_cents, 0);
+    var applied_promotions = promotions.apply(merchandise_lines);
+    var promotion_discount_cents = applied_promotions.reduce((total, promotion) => total + promotion.discount_cents, 0);
+    var coupon;
+    var coupon_error;
+    var discount_cents = promotion_discount_cents;
+    if (typeof options.coupon_code != 'undefined') {
+        let discount = coupons.discount_for(options.coupon_code, merchandise_lines, merchandise_cents - promotion_discount_cents, options.username);
+        if (typeof discount.error != 'undefined') {
+            coupon_error = discount.error;
+        } else {
+            coupon = discount;
+            discount_cents += discount.discount_cents;
+        }
+    }
+    // shipping and tax are on what is paid for the items after the discount
+    var discounted_cents = merchandise_cents - discount_cents;
+    var shipping_method = shipping.method(options.shipping_method);
+    var shipping_cents = shipping.cost_for(shipping_method, discounted_cents, weight);
+    var pickup = (shipping_method.pickup == true);
+    // pickup orders don't ship anywhere, they are taxed where the store is
+    var shipping_address = (pickup) ? undefined : options.shipping_address;
+    // an order of just gift cards has nothing to ship or tax
+    var needs_address = (!pickup && merchandise_lines.length > 0 && typeof shipping_address == 'undefined');
+    var order_tax = { lines: [], tax_cents: 0 };
+    if (!needs_address && merchandise_lines.length > 0) {
+        order_tax = tax.tax_for((pickup) ? tax.store_address() : shipping_address, discounted_cents, shipping_cents, options.tax_exempt);
+    }
+    var total_cents = subtotal_cents - discount_cents + order_tax.tax_cents + shipping_cents;
+    var payments = [];
+    var covered_cents = 0;
+    for (let gift_card of options.gift_cards || []) {
+        let amount_cents = Math.min(gift_card.balance_cents, total_cents - covered_cents);
+        if (amount_cents <= 0) continue;
+        payments.push({ type: 'gift_card', code: gift_card.code, amount_cents: amount_cents });
+        covered_cents += amount_cents;
+    }
+    var store_credit_cents = Math.min(options.store_credit_cents || 0, total_cents - covered_cents);
+    if (store_credit_cents > 0) {
+        payments.push({ type: 'store_credit', amount_cents: store_credit_cents });
+        covered_cents += store_credit_cents;
+    }
+    return {
+        lines: lines,
+        subtotal_cents: subtotal_cents,
+        promotions: applied_promotions,
+        promotion_discount_cents: promotion_discount_cents,
+        coupon: coupon,
+        coupon_error: coupon_error,
+        discount_cents: discount_cents,
+        weight: weight,
+        shipping_method: { id: shipping_method.id, name: shipping_method.name },
+        pickup: pickup,
+        shipping_address: shipping_address,
+        needs_address: needs_address,
+        tax_exempt: (options.tax_exempt == true),
+        tax_lines: order_tax.lines,
+        tax_cents: order_tax.tax_cents,
+        shipping_cents: shipping_cents,
+        total_cents: total_cents,
+        payments: payments,
+        covered_cents: covered_cents,
+        amount_due_cents: total_cents - covered_cents
+    };
+}
+
+module.exports = {
+    quote: quote
+};
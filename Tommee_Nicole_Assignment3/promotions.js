@@ -0,0 +1,118 @@
+/*
+* Author: Nicole Tommee
+* Automatic promotions from promotions.json, no code needed. A promotion is
+* { id, name, starts, ends, conditions: { categories, skus, min_quantity, min_subtotal, all_skus }, action }.
+* The cart lines in any of the categories or skus (all lines if neither is given) are the ones the promotion is for.
+* It applies when those lines add up to min_quantity items and min_subtotal dollars, and with all_skus, when every one
+* of the skus is in the cart. starts and ends ("YYYY-MM-DD") are optional.
+* Actions: { type: "percent_off", percent }, { type: "amount_off", amount } (dollars) or { type: "cheapest_free", count }.
+* Promotions don't stack: a cart line only gets one, and the combination that saves the shopper the most is used
+*/
+var json_store = require('./json_store.js');
+var money = require('./money.js');
+
+var promotions = [];
+
+// reads promotions.json
+function load(filename) {
+    promotions = json_store.read_json(filename, []);
+}
+
+// true if promotion is running on now's date
+function is_running(promotion, now) {
+    if (typeof promotion.starts != 'undefined' && now < new Date(promotion.starts + 'T00:00:00')) return false;
+    if (typeof promotion.ends != 'undefined' && now > new Date(promotion.ends + 'T23:59:59.999')) return false;
+    return true;
+}
+
+// what promotion would take off lines on its own. Returns { promotion, skus, discounts: { sku: cents }, discount_cents }
+// or undefined if it doesn't apply
+function evaluate(promotion, lines) {
+    var conditions = promotion.conditions || {};
+    var matching = lines.filter(function (line) {
+        if (typeof conditions.categories == 'undefined' && typeof conditions.skus == 'undefined') return true;
+        return (conditions.categories || []).indexOf(line.category) != -1 || (conditions.skus || []).indexOf(line.sku) != -1;
+    });
+    var quantity = matching.reduce((total, line) => total + line.quantity, 0);
+    var matching_cents = matching.reduce((total, line) => total + line.extended_price_cents, 0);
+    if (matching.length == 0) return undefined;
+    if (typeof conditions.min_quantity != 'undefined' && quantity < conditions.min_quantity) return undefined;
+    if (typeof conditions.min_subtotal != 'undefined' && matching_cents < money.to_cents(conditions.min_subtotal)) return undefined;
+    if (conditions.all_skus == true && !conditions.skus.every(sku => matching.some(line => line.sku == sku))) return undefined;
+
+    // split the discount over the lines, so each invoice line can show its share
+    var discounts = {};
+    var action = promotion.action;
+    if (action.type == 'percent_off') {
+        for (let line of matching) {
+            discounts[line.sku] = money.percent_of(line.extended_price_cents, action.percent / 100);
+        }
+    } else if (action.type == 'amount_off') {
+        let amount_cents = Math.min(money.to_cents(action.amount), matching_cents);
+        let left_cents = amount_cents;
+        matching.forEach(function (line, i) {
+            // shared by price, the last line gets what's left so the shares add up to the amount
+            let share_cents = (i == matching.length - 1) ? left_cents : Math.floor(amount_cents * line.extended_price_cents / matching_cents);
+            discounts[line.sku] = share_cents;
+            left_cents -= share_cents;
+        });
+    } else if (action.type == 'cheapest_free') {
+        let by_price = matching.slice().sort((a, b) => a.price_cents - b.price_cents);
+        let free_left = action.count;
+        for (let line of by_price) {
+            let free = Math.min(free_left, line.quantity);
+            if (free > 0) discounts[line.sku] = free * line.price_cents;
+            free_left -= free;
+        }
+    } else {
+        console.log(`Hey! Promotion ${promotion.id} has an unknown action ${action.type}`);
+        return undefined;
+    }
+    var discount_cents = Object.values(discounts).reduce((total, cents) => total + cents, 0);
+    if (discount_cents <= 0) return undefined;
+    return { promotion: promotion, skus: matching.map(line => line.sku), discounts: discounts, discount_cents: discount_cents };
+}
+
+// the candidates that save the most without two of them on the same cart line
+function best_combination(candidates) {
+    var best = { applied: [], discount_cents: 0 };
+    function search(i, applied, used_skus, discount_cents) {
+        if (discount_cents > best.discount_cents) {
+            best = { applied: applied.slice(), discount_cents: discount_cents };
+        }
+        for (let j = i; j < candidates.length; j++) {
+            if (candidates[j].skus.some(sku => used_skus.indexOf(sku) != -1)) continue;
+            applied.push(candidates[j]);
+            search(j + 1, applied, used_skus.concat(candidates[j].skus), discount_cents + candidates[j].discount_cents);
+            applied.pop();
+        }
+    }
+    search(0, [], [], 0);
+    return best.applied;
+}
+
+// applies the best promotions to quote lines ({ sku, category, price_cents, quantity, extended_price_cents }).
+// Each line that gets one has promotion: { id, name } and promotion_discount_cents added.
+// Returns [{ id, name, discount_cents }] for the promotions applied
+function apply(lines, now = new Date()) {
+    var candidates = [];
+    for (let promotion of promotions) {
+        if (!is_running(promotion, now)) continue;
+        let candidate = evaluate(promotion, lines);
+        if (typeof candidate != 'undefined') candidates.push(candidate);
+    }
+    var applied = best_combination(candidates);
+    for (let candidate of applied) {
+        for (let line of lines) {
+            if (typeof candidate.discounts[line.sku] == 'undefined') continue;
+            line.promotion = { id: candidate.promotion.id, name: candidate.promotion.name };
+            line.promotion_discount_cents = candidate.discounts[line.sku];
+        }
+    }
+    return applied.map(candidate => ({ id: candidate.promotion.id, name: candidate.promotion.name, discount_cents: candidate.discount_cents }));
+}
+
+module.exports = {
+    load: load,
+    apply: apply
+};
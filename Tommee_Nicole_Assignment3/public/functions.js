@@ -20,6 +20,19 @@ function loadJSON(service, callback) {
     xobj.send(null);  
  }
 
+// This function sends data as JSON to an API (like the cart API) and gives the callback the HTTP status and the parsed response
+function sendJSON(method, service, data, callback) {
+    var xobj = new XMLHttpRequest();
+    xobj.open(method, service, false);
+    xobj.setRequestHeader('Content-Type', 'application/json');
+    xobj.onreadystatechange = function () {
+          if (xobj.readyState == 4) {
+            callback(xobj.status, JSON.parse(xobj.responseText));
+          }
+    };
+    xobj.send((data === null) ? null : JSON.stringify(data));
+ }
+
 // This function makes a navigation bar from a products_data object
 function nav_bar(this_product_key, products_data) {
     // This makes a navigation bar to other product pages
@@ -30,6 +43,30 @@ function nav_bar(this_product_key, products_data) {
 
 }
 
+// This function finds the product with this sku in a products_data object
+function find_product(products_data, sku) {
+    for (let products_key in products_data) {
+        for (let product of products_data[products_key]) {
+            if (product.sku == sku) return product;
+        }
+    }
+    return undefined;
+}
+
+// This function escapes text typed by a user so it can be put inside html and attribute values
+function escape_html(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// This function adds up the quantities in a shopping cart ({ sku: quantity })
+function cart_item_count(shopping_cart) {
+    let count = 0;
+    for (let sku in shopping_cart) {
+        count += shopping_cart[sku];
+    }
+    return count;
+}
+
   // Referenced code from https://www.w3schools.com/js/js_cookies.asp
   function getCookie(cname) {
     let name = cname + "=";
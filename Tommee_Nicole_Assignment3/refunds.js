@@ -0,0 +1,156 @@
+/*
+* Author: Nicole Tommee
+* How much to pay back for a cancelled order or returned items, from what the order record (see orders.js) says
+* was charged at the time of the sale. An item is refunded what was really paid for it: its price, less its promotion
+* and its share of the coupon (shared by price over the items in the coupon's categories), plus its share of each tax line.
+* Shipping is only paid back by a full refund.
+* Gift cards bought in an order can't be refunded, their codes were already given out, and what the card hasn't been
+* charged yet (the authorization wasn't captured) isn't refunded either.
+* A refund is { lines: [{ sku, name, quantity, amount_cents }], amount_cents, full, refund_to: "original" or "store_credit",
+* to: [{ type: "card", "gift_card" or "store_credit", code, amount_cents }], time, user, reason }
+*/
+var coupons = require('./coupons.js');
+
+// what was paid for all of line after discounts, with its tax, in cents
+function line_paid_cents(order, line) {
+    var net_cents = l => l.extended_price_cents - (l.promotion_discount_cents || 0);
+    if (line.gift_card) return 0;
+    var discounted_cents = net_cents(line);
+    // the coupon only came off the items in its categories, the same way coupons.discount_for worked it out
+    if (typeof order.coupon != 'undefined' && coupons.applies_to(order.coupon.categories, line)) {
+        let coupon_lines = order.lines.filter(l => !l.gift_card && coupons.applies_to(order.coupon.categories, l));
+        let coupon_net_cents = coupon_lines.reduce((total, l) => total + net_cents(l), 0);
+        if (coupon_net_cents > 0) {
+            discounted_cents -= Math.round(order.coupon.discount_cents * net_cents(line) / coupon_net_cents);
+        }
+    }
+    var paid_cents = discounted_cents;
+    for (let tax_line of order.tax_lines) {
+        if (tax_line.taxable_cents > 0) {
+            paid_cents += Math.round(tax_line.tax_cents * discounted_cents / tax_line.taxable_cents);
+        }
+    }
+    return paid_cents;
+}
+
+// how many of sku, and how many cents for them, have been refunded on order
+function refunded_for(order, sku) {
+    var refunded = { quantity: 0, amount_cents: 0 };
+    for (let refund of order.refunds || []) {
+        for (let line of refund.lines) {
+            if (line.sku != sku) continue;
+            refunded.quantity += line.quantity;
+            refunded.amount_cents += line.amount_cents;
+        }
+    }
+    return refunded;
+}
+
+// how many of line can still be refunded
+function refundable_quantity(order, line) {
+    return (line.gift_card) ? 0 : line.quantity - refunded_for(order, line.sku).quantity;
+}
+
+// what the card was charged for order. Orders from before card payments went through payments.js count as paid
+function card_paid_cents(order) {
+    return (typeof order.card_payment != 'undefined') ? order.card_payment.captured_cents : order.amount_due_cents;
+}
+
+// what is left to refund on order: everything that was paid but gift cards bought in it, less what was already refunded
+function refundable_cents(order) {
+    var gift_card_cents = order.lines.filter(line => line.gift_card).reduce((total, line) => total + line.extended_price_cents, 0);
+    var refunded_cents = (order.refunds || []).reduce((total, refund) => total + refund.amount_cents, 0);
+    var not_charged_cents = order.amount_due_cents - card_paid_cents(order);
+    return order.total_cents - gift_card_cents - refunded_cents - not_charged_cents;
+}
+
+// a refund for some of the items on order. quantities is { sku: how many } (from a form, so they can be strings).
+// Returns { errors, lines, amount_cents }; lines is empty if every quantity was 0
+function for_lines(order, quantities) {
+    var errors = {};
+    var lines = [];
+    var amount_cents = 0;
+    for (let line of order.lines) {
+        let quantity = String(quantities[line.sku] || '0').trim();
+        if (quantity == '' || quantity == '0') continue;
+        let refundable = refundable_quantity(order, line);
+        if (line.gift_card) {
+            errors[`refund_${line.sku}`] = `Gift cards can't be refunded`;
+        } else if (!/^\d+$/.test(quantity)) {
+            errors[`refund_${line.sku}`] = `${quantity} is not a quantity of ${line.name}`;
+        } else if (Number(quantity) > refundable) {
+            errors[`refund_${line.sku}`] = `Only ${refundable} of ${line.name} can be refunded`;
+        } else {
+            let paid_cents = line_paid_cents(order, line);
+            // the last of a line gets what's left of it, so rounding never pays back more or less than was paid
+            let line_cents = (Number(quantity) == refundable) ? paid_cents - refunded_for(order, line.sku).amount_cents : Math.floor(paid_cents * Number(quantity) / line.quantity);
+            lines.push({ sku: line.sku, name: line.name, quantity: Number(quantity), amount_cents: line_cents });
+            amount_cents += line_cents;
+        }
+    }
+    return { errors: errors, lines: lines, amount_cents: Math.min(amount_cents, refundable_cents(order)), full: false };
+}
+
+// a refund for some of the items sent back in order_return (see orders.request_return): like for_lines(),
+// but no more of an item than came back in that return
+function for_return(order, order_return, quantities) {
+    var refund = for_lines(order, quantities);
+    for (let line of order.lines) {
+        let quantity = String(quantities[line.sku] || '0').trim();
+        if (quantity == '' || quantity == '0' || typeof refund.errors[`refund_${line.sku}`] != 'undefined') continue;
+        let returned = order_return.lines.filter(returned_line => returned_line.sku == line.sku).reduce((total, returned_line) => total + returned_line.quantity, 0);
+        if (Number(quantity) > returned) {
+            refund.errors[`refund_${line.sku}`] = (returned == 0) ? `${line.name} isn't in this return` : `Only ${returned} of ${line.name} came back in this return`;
+        }
+    }
+    return refund;
+}
+
+// a refund of everything left on order, shipping too (like when it is cancelled)
+function full(order) {
+    var quantities = {};
+    for (let line of order.lines) {
+        if (refundable_quantity(order, line) > 0) quantities[line.sku] = String(refundable_quantity(order, line));
+    }
+    var refund = for_lines(order, quantities);
+    refund.amount_cents = refundable_cents(order);
+    refund.full = true;
+    return refund;
+}
+
+// where amount_cents of a refund on order goes. "store_credit" is all store credit, "original" pays back what was
+// paid by card first, then the gift cards and store credit, each up to what it paid less what was refunded to it
+function destinations(order, amount_cents, refund_to) {
+    if (refund_to == 'store_credit') {
+        return [{ type: 'store_credit', amount_cents: amount_cents }];
+    }
+    var paid = [{ type: 'card', amount_cents: card_paid_cents(order) }].concat(order.payments);
+    var to = [];
+    var left_cents = amount_cents;
+    for (let payment of paid) {
+        let refunded_cents = 0;
+        for (let refund of order.refunds || []) {
+            if (refund.refund_to != 'original') continue;
+            refunded_cents += refund.to.filter(t => t.type == payment.type && t.code == payment.code).reduce((total, t) => total + t.amount_cents, 0);
+        }
+        let back_cents = Math.min(left_cents, payment.amount_cents - refunded_cents);
+        if (back_cents <= 0) continue;
+        to.push((payment.type == 'gift_card') ? { type: payment.type, code: payment.code, amount_cents: back_cents } : { type: payment.type, amount_cents: back_cents });
+        left_cents -= back_cents;
+    }
+    // anything the payments can't take back (a cent of rounding) is store credit
+    if (left_cents > 0) {
+        to.push({ type: 'store_credit', amount_cents: left_cents });
+    }
+    return to;
+}
+
+module.exports = {
+    line_paid_cents: line_paid_cents,
+    refundable_quantity: refundable_quantity,
+    refundable_cents: refundable_cents,
+    for_lines: for_lines,
+    for_return: for_return,
+    full: full,
+    destinations: destinations
+};
@@ -0,0 +1,83 @@
+/*
+* Author: Nicole Tommee
+* Holds stock for the items in each shopper's cart so two shoppers can't both put the last one in their carts.
+* Holds belong to a session and expire if the cart isn't touched for a while, which releases the stock again
+*/
+
+var hold_minutes = 15; // how long a cart holds its items, see configure()
+var holds = {}; // { session_id: { expires: time in ms, items: { sku: quantity } } }
+
+// sets the options from store_config.json
+function configure(options) {
+    if (typeof options.reservation_minutes != 'undefined') {
+        hold_minutes = Number(options.reservation_minutes);
+    }
+}
+
+// true if this session's holds are still good
+function is_active(session_id, now = Date.now()) {
+    return typeof holds[session_id] != 'undefined' && holds[session_id].expires > now;
+}
+
+// how many of this sku are held by carts, not counting the cart of except_session_id
+function reserved_quantity(sku, except_session_id) {
+    var reserved = 0;
+    for (let session_id in holds) {
+        if (session_id == except_session_id || !is_active(session_id)) continue;
+        reserved += holds[session_id].items[sku] || 0;
+    }
+    return reserved;
+}
+
+// how many of product this session can have in its cart: the stock minus what other carts are holding
+function available_for(product, session_id) {
+    return Math.max(0, product.quantity_available - reserved_quantity(product.sku, session_id));
+}
+
+// makes this session's holds match its cart ({ sku: quantity }) and restarts the expiry clock.
+// A line can only hold what is available, so an over-full cart holds as much as it can
+function hold_cart(session_id, cart, find_product) {
+    var items = {};
+    for (let sku in cart) {
+        let found = find_product(sku);
+        if (typeof found == 'undefined' || !(cart[sku] > 0)) continue;
+        items[sku] = Math.min(cart[sku], available_for(found.product, session_id));
+    }
+    holds[session_id] = { expires: Date.now() + hold_minutes * 60 * 1000, items: items };
+}
+
+// gives back everything this session was holding (checked out, emptied or abandoned cart)
+function release(session_id) {
+    delete holds[session_id];
+}
+
+// drops the holds of carts that haven't been touched in hold_minutes
+function release_expired(now = Date.now()) {
+    for (let session_id in holds) {
+        if (!is_active(session_id, now)) {
+            console.log(`Releasing expired stock hold for session ${session_id}`);
+            delete holds[session_id];
+        }
+    }
+}
+
+// returns a copy of products_data where quantity_available is the stock nobody is holding
+function unreserved(products_data) {
+    var copy = {};
+    for (let type in products_data) {
+        copy[type] = products_data[type].map(product => Object.assign({}, product, {
+            quantity_available: Math.max(0, product.quantity_available - reserved_quantity(product.sku))
+        }));
+    }
+    return copy;
+}
+
+module.exports = {
+    configure: configure,
+    reserved_quantity: reserved_quantity,
+    available_for: available_for,
+    hold_cart: hold_cart,
+    release: release,
+    release_expired: release_expired,
+    unreserved: unreserved
+};
@@ -0,0 +1,65 @@
+/*
+* Author: Nicole Tommee
+* Saves each registered user's shopping cart in saved_carts.json so it is still there after a restart,
+* on another device, or after logging in again. Carts are { sku: quantity } like request.session.cart
+*/
+var json_store = require('./json_store.js');
+
+var carts_filename;
+var saved_carts = {}; // { username: { sku: quantity } }
+
+// reads saved_carts.json (starts with no saved carts if there isn't one yet)
+function load(filename) {
+    carts_filename = filename;
+    saved_carts = json_store.read_json(carts_filename, {});
+}
+
+// the saved cart for username, empty if they don't have one
+function get(username) {
+    return Object.assign({}, saved_carts[username] || {});
+}
+
+// saves cart as username's cart
+function save(username, cart) {
+    if (Object.keys(cart).length == 0) {
+        delete saved_carts[username];
+    } else {
+        saved_carts[username] = Object.assign({}, cart);
+    }
+    json_store.write_json(carts_filename, saved_carts);
+}
+
+// merges the cart a shopper filled in before logging in (guest_cart) with their saved cart.
+// find_product(sku) looks up a product, available_for(product) is how much of it this shopper can have.
+// Rules: quantities of the same item are added together; items that are no longer sold are dropped;
+// if a total is more than is available it is lowered to what is available (and dropped if none is).
+// Returns { cart, messages } where messages tell the shopper about anything that was changed
+function merge(guest_cart, saved_cart, find_product, available_for) {
+    var cart = {};
+    var messages = [];
+    var skus = Object.keys(saved_cart).concat(Object.keys(guest_cart).filter(sku => typeof saved_cart[sku] == 'undefined'));
+    for (let sku of skus) {
+        let quantity = (saved_cart[sku] || 0) + (guest_cart[sku] || 0);
+        if (!(quantity > 0)) continue;
+        let found = find_product(sku);
+        if (typeof found == 'undefined' || found.product.retired == true) {
+            messages.push(`An item in your saved cart (${sku}) is no longer sold and was removed`);
+            continue;
+        }
+        let available = available_for(found.product);
+        if (quantity > available) {
+            messages.push((available > 0) ? `Only ${available} of ${found.product.name} are available, so your cart now has ${available}` :
+                `${found.product.name} is sold out and was removed from your cart`);
+            quantity = available;
+        }
+        if (quantity > 0) cart[sku] = quantity;
+    }
+    return { cart: cart, messages: messages };
+}
+
+module.exports = {
+    load: load,
+    get: get,
+    save: save,
+    merge: merge
+};
@@ -10,6 +10,25 @@ var fs = require('fs');
 var errors = {}; // keep errors on server to share with registration page
 var loginerrors = {} // keep errors on server to share with login page
 var nodemailer = require('nodemailer');
+var json_store = require('./json_store.js');
+var inventory = require('./inventory.js');
+var catalog = require('./catalog.js');
+var reservations = require('./reservations.js');
+var saved_carts = require('./saved_carts.js');
+var wishlists = require('./wishlists.js');
+var notifications = require('./notifications.js');
+var pricing = require('./pricing.js');
+var tax = require('./tax.js');
+var addresses = require('./addresses.js');
+var shipping = require('./shipping.js');
+var coupons = require('./coupons.js');
+var promotions = require('./promotions.js');
+var gift_cards = require('./gift_cards.js');
+var orders = require('./orders.js');
+var refunds = require('./refunds.js');
+var checkout = require('./checkout.js');
+var payments = require('./payments.js');
+var money = require('./money.js');
 
 var filename = __dirname + '/user_data.json';
 if (fs.existsSync(filename)) {
@@ -27,18 +46,73 @@ app.use(cookieParser()); // makes it middleware - takes the cookie data and puts
 var session = require('express-session');
 app.use(session({ secret: "MySecretKey", resave: true, saveUninitialized: true }));
 
-var products_data = require(__dirname + '/products.json');
+// load products from disk (not require) so the saved stock levels are read on every boot
+var products_data = inventory.load(__dirname + '/products.json', __dirname + '/stock_ledger.jsonl');
+
+// registered users' carts, kept between visits
+saved_carts.load(__dirname + '/saved_carts.json');
+// registered users' wishlists and saved for later items
+wishlists.load(__dirname + '/wishlists.json');
+// "notify me when it's back in stock" subscriptions
+notifications.load(__dirname + '/stock_notifications.json');
+// gift cards that have been bought and what's left on them
+gift_cards.load(__dirname + '/gift_cards.json');
+// every order placed
+orders.load(__dirname + '/orders.json');
+
+// Set up mail server. Only will work on UH Network due to security restrictions
+var transporter = nodemailer.createTransport({
+    host: "mail.hawaii.edu",
+    port: 25,
+    secure: false, // use TLS
+    tls: {
+        // do not fail on invalid certs
+        rejectUnauthorized: false
+    }
+});
+
+// whenever stock goes up (restock, adjustment, return, ...) email the people waiting for that product
+inventory.on_stock_change(function (product, quantity_before) {
+    if (product.quantity_available > quantity_before && product.quantity_available > 0) {
+        notifications.send_back_in_stock(product, transporter);
+    }
+});
+
+// store settings (how long carts hold stock, ...)
+var store_config = json_store.read_json(__dirname + '/store_config.json', {});
+reservations.configure(store_config);
+// card payments, through the provider store_config.json picks
+payments.configure(store_config, __dirname);
+// tax rates by state, county and ZIP
+tax.load(__dirname + '/tax_rules.json');
+// shipping methods and their rate tables
+shipping.load(__dirname + '/shipping_methods.json');
+// coupon codes and how many times they've been used
+coupons.load(__dirname + '/coupons.json', __dirname + '/coupon_usage.json');
+// automatic sales, like buy 3 get 10% off
+promotions.load(__dirname + '/promotions.json');
+// every minute, give back the stock held by carts that were abandoned
+setInterval(() => reservations.release_expired(), 60 * 1000).unref();
+
+// looks up a product by sku in the current products_data
+function find_product(sku) {
+    return catalog.find_product(products_data, sku);
+}
 
 app.all('*', function (request, response, next) {
     console.log(`Got a ${request.method} to path ${request.path}`);
     // need to initialize an object to store the cart in the session. We do it when there is any request so that we don't have to check it exists
     // anytime it's used
     if (typeof request.session.cart == 'undefined') { request.session.cart = {}; }
+    // carts made before products had skus are keyed by array index, convert them to { sku: quantity }
+    request.session.cart = catalog.migrate_cart(request.session.cart, products_data);
     next();
 });
 
 // get the body - if you get a POST request from a URL it will put the request in the body so you can use the data
 app.use(express.urlencoded({ extended: true }));
+// the cart API sends JSON bodies
+app.use(express.json());
 
 // takes product information from json and stores in var products
 // var products = require('./products.json');
@@ -54,7 +128,8 @@ app.all('*', function (request, response, next) {
 
 // microservice to load product information
 app.post("/get_products_data", function (request, response) {
-    response.json(products_data);
+    // retired products are not shown to shoppers, and quantity_available doesn't count stock held in carts
+    response.json(catalog.active_products(reservations.unreserved(products_data)));
 });
 
 // microservice to retrive the shopping cart 
@@ -62,6 +137,16 @@ app.post("/get_cart", function (request, response) {
     response.json(request.session.cart);
 });
 
+// microservice to price the shopping cart: line totals, subtotal, tax, shipping and total
+app.post("/get_quote", function (request, response) {
+    response.json(quote_for(request));
+});
+
+// microservice to list the shipping methods with the text explaining their rates
+app.post("/get_shipping_methods", function (request, response) {
+    response.json(shipping.methods());
+});
+
 // gets all the user info except for the password
 app.post("/get_user_info", function (request, response) {
     let username = request.query.username;
@@ -70,20 +155,287 @@ app.post("/get_user_info", function (request, response) {
     response.json(user_info);
 });
 
-// microservice to update the shopping cart 
-app.post("/update_cart", function (request, response) {
-    let type = request.query.type;
-    let prod_index = request.query.prod_index;
-    let update_quantity = request.query.update_quantity;
-    request.session.cart[type][prod_index] = Number(update_quantity);
-    response.json(request.session.cart); // wouldn't be successful if request more than avail
+// sends a cart API error as JSON: { errors: [{ field, message }] }
+function send_api_errors(response, status, api_errors) {
+    response.status(status).json({ errors: api_errors });
+}
+
+// cart API: the quantity of one item in the shopping cart
+app.get("/api/cart", function (request, response) {
+    response.json(request.session.cart);
+});
+
+app.get("/api/cart/items/:sku", function (request, response) {
+    let sku = request.params.sku;
+    if (typeof request.session.cart[sku] == 'undefined') {
+        send_api_errors(response, 404, [{ field: 'sku', message: `${sku} is not in your cart` }]);
+        return;
+    }
+    response.json({ sku: sku, quantity: request.session.cart[sku] });
+});
+
+// sets the quantity of an item (0 takes it out of the cart). Body: { "quantity": 2 }
+app.put("/api/cart/items/:sku", function (request, response) {
+    let sku = request.params.sku;
+    let quantity = (typeof request.body == 'object') ? request.body.quantity : undefined;
+    let found = find_product(sku);
+    if (typeof found == 'undefined' || found.product.retired == true) {
+        send_api_errors(response, 404, [{ field: 'sku', message: `There is no product ${sku} for sale` }]);
+        return;
+    }
+    if ((typeof quantity != 'number' && typeof quantity != 'string') || String(quantity).trim() == '') {
+        send_api_errors(response, 400, [{ field: 'quantity', message: `Please enter a quantity for ${found.product.name}` }]);
+        return;
+    }
+    // same checks as /add_to_cart, but the new quantity replaces what is in the cart
+    let quantity_errors = check_cart_quantity(found.product, quantity, request.sessionID);
+    if (typeof quantity_errors.invalid != 'undefined') {
+        send_api_errors(response, 400, [{ field: 'quantity', message: quantity_errors.invalid }]);
+        return;
+    }
+    if (typeof quantity_errors.not_available != 'undefined') {
+        send_api_errors(response, 409, [{ field: 'quantity', message: quantity_errors.not_available }]);
+        return;
+    }
+    if (Number(quantity) == 0) {
+        delete request.session.cart[sku];
+    } else {
+        request.session.cart[sku] = Number(quantity);
+    }
+    cart_changed(request); // hold the new quantity instead
+    response.json(request.session.cart);
+});
+
+app.delete("/api/cart/items/:sku", function (request, response) {
+    let sku = request.params.sku;
+    if (typeof request.session.cart[sku] == 'undefined') {
+        send_api_errors(response, 404, [{ field: 'sku', message: `${sku} is not in your cart` }]);
+        return;
+    }
+    delete request.session.cart[sku];
+    cart_changed(request);
+    response.json(request.session.cart);
+});
+
+// where the order ships to, tax is worked out from it
+app.get("/api/cart/shipping_address", function (request, response) {
+    if (typeof request.session.shipping_address == 'undefined') {
+        send_api_errors(response, 404, [{ field: 'shipping_address', message: 'No shipping address yet' }]);
+        return;
+    }
+    response.json(request.session.shipping_address);
+});
+
+// picks how the order ships. Body: { "method": "express" }
+app.put("/api/cart/shipping_method", function (request, response) {
+    let method_id = (typeof request.body == 'object') ? request.body.method : undefined;
+    if (!shipping.methods().some(shipping_method => shipping_method.id == method_id)) {
+        send_api_errors(response, 400, [{ field: 'method', message: `There is no shipping method ${method_id}` }]);
+        return;
+    }
+    request.session.shipping_method = method_id;
+    response.json({ method: method_id });
+});
+
+// applies a coupon code to the cart, it's checked against the cart now and again at checkout. Body: { "code": "ALOHA10" }
+app.put("/api/cart/coupon", function (request, response) {
+    let code = coupons.normalize((typeof request.body == 'object') ? request.body.code : '');
+    if (code == '') {
+        send_api_errors(response, 400, [{ field: 'code', message: 'Please enter a coupon code' }]);
+        return;
+    }
+    let order_quote = quote_for(request, code);
+    if (typeof order_quote.coupon_error != 'undefined') {
+        send_api_errors(response, 400, [{ field: 'code', message: order_quote.coupon_error }]);
+        return;
+    }
+    request.session.coupon_code = code;
+    response.json(order_quote.coupon);
+});
+
+app.delete("/api/cart/coupon", function (request, response) {
+    delete request.session.coupon_code;
+    response.json({});
+});
+
+// applies a gift card to the order, it pays for as much as its balance covers. Body: { "code": "7K2P-QX9M-D4HA-ZT6W" }
+app.put("/api/cart/gift_cards", function (request, response) {
+    let code = gift_cards.normalize((typeof request.body == 'object') ? request.body.code : '');
+    let balance_cents = gift_cards.balance(code);
+    if (typeof balance_cents == 'undefined') {
+        send_api_errors(response, 400, [{ field: 'code', message: `${code} is not a gift card code` }]);
+        return;
+    }
+    if (balance_cents <= 0) {
+        send_api_errors(response, 400, [{ field: 'code', message: `Gift card ${code} has nothing left on it` }]);
+        return;
+    }
+    if (typeof request.session.gift_card_codes == 'undefined') {
+        request.session.gift_card_codes = [];
+    }
+    if (request.session.gift_card_codes.indexOf(code) == -1) {
+        request.session.gift_card_codes.push(code);
+    }
+    response.json({ code: code, balance_cents: balance_cents });
+});
+
+app.delete("/api/cart/gift_cards/:code", function (request, response) {
+    let code = gift_cards.normalize(request.params.code);
+    request.session.gift_card_codes = (request.session.gift_card_codes || []).filter(applied_code => applied_code != code);
+    response.json({});
+});
+
+// the logged in user's store credit (from refunds), and if it's being used on this order
+app.get("/api/cart/store_credit", function (request, response) {
+    let user = users_reg_data[request.session['username']];
+    if (typeof user == 'undefined') {
+        send_api_errors(response, 401, [{ field: 'username', message: 'Please log in to use your store credit' }]);
+        return;
+    }
+    response.json({ available_cents: user.store_credit_cents || 0, use: (request.session.use_store_credit == true) });
+});
+
+// Body: { "use": true } to pay with store credit, { "use": false } not to
+app.put("/api/cart/store_credit", function (request, response) {
+    if (typeof users_reg_data[request.session['username']] == 'undefined') {
+        send_api_errors(response, 401, [{ field: 'username', message: 'Please log in to use your store credit' }]);
+        return;
+    }
+    request.session.use_store_credit = (typeof request.body == 'object' && request.body.use == true);
+    response.json({ use: request.session.use_store_credit });
+});
+
+// Body: { "name", "street", "city", "state", "county", "zip" }
+app.put("/api/cart/shipping_address", function (request, response) {
+    let address = addresses.address_from((typeof request.body == 'object') ? request.body : {});
+    let address_errors = addresses.validate_address(address, tax.counties(address.state));
+    if (Object.keys(address_errors).length > 0) {
+        send_api_errors(response, 400, Object.keys(address_errors).map(field => ({ field: field, message: address_errors[field] })));
+        return;
+    }
+    // spell the county the way the tax rules do
+    address.county = tax.counties(address.state).find(county => county.toLowerCase() == address.county.toLowerCase()) || address.county;
+    request.session.shipping_address = address;
+    response.json(address);
+});
+
+// the wishlist API is only for logged in users
+function require_api_login(request, response, next) {
+    if (typeof request.session['username'] == 'undefined') {
+        send_api_errors(response, 401, [{ field: 'username', message: 'Please log in to use your wishlist' }]);
+        return;
+    }
+    next();
+}
+
+// wishlist API: { sku: quantity wanted } for the logged in user
+app.get("/api/wishlist", require_api_login, function (request, response) {
+    response.json(wishlists.get(request.session['username']));
+});
+
+// puts an item on the wishlist, sold out items are fine. Body: { "quantity": 1 } (optional, 1 if left out)
+app.put("/api/wishlist/items/:sku", require_api_login, function (request, response) {
+    let sku = request.params.sku;
+    let quantity = (typeof request.body == 'object' && typeof request.body.quantity != 'undefined') ? request.body.quantity : 1;
+    let found = find_product(sku);
+    if (typeof found == 'undefined' || found.product.retired == true) {
+        send_api_errors(response, 404, [{ field: 'sku', message: `There is no product ${sku} for sale` }]);
+        return;
+    }
+    if (isNonNegInt(quantity) == false || !(Number(quantity) > 0)) {
+        send_api_errors(response, 400, [{ field: 'quantity', message: `${quantity} is not a valid quantity for ${found.product.name}` }]);
+        return;
+    }
+    wishlists.set_item(request.session['username'], sku, Number(quantity));
+    response.json(wishlists.get(request.session['username']));
+});
+
+app.delete("/api/wishlist/items/:sku", require_api_login, function (request, response) {
+    let sku = request.params.sku;
+    if (typeof wishlists.get(request.session['username'])[sku] == 'undefined') {
+        send_api_errors(response, 404, [{ field: 'sku', message: `${sku} is not on your wishlist` }]);
+        return;
+    }
+    wishlists.remove_item(request.session['username'], sku);
+    response.json(wishlists.get(request.session['username']));
+});
+
+// moves a wishlist item into the cart, if that much is available (checked the same way as /add_to_cart)
+app.post("/api/wishlist/items/:sku/move_to_cart", require_api_login, function (request, response) {
+    let username = request.session['username'];
+    let sku = request.params.sku;
+    let quantity = wishlists.get(username)[sku];
+    if (typeof quantity == 'undefined') {
+        send_api_errors(response, 404, [{ field: 'sku', message: `${sku} is not on your wishlist` }]);
+        return;
+    }
+    let found = find_product(sku);
+    if (typeof found == 'undefined' || found.product.retired == true) {
+        send_api_errors(response, 404, [{ field: 'sku', message: `${sku} is no longer sold` }]);
+        return;
+    }
+    let in_cart = (typeof request.session.cart[sku] != 'undefined') ? request.session.cart[sku] : 0;
+    let quantity_errors = check_cart_quantity(found.product, quantity, request.sessionID, in_cart);
+    if (Object.keys(quantity_errors).length > 0) {
+        send_api_errors(response, 409, [{ field: 'quantity', message: quantity_errors.invalid || quantity_errors.not_available }]);
+        return;
+    }
+    request.session.cart[sku] = in_cart + quantity;
+    cart_changed(request);
+    wishlists.remove_item(username, sku);
+    response.json({ cart: request.session.cart, wishlist: wishlists.get(username) });
+});
+
+// takes an item out of the cart and keeps it on the wishlist for later
+app.post("/api/cart/items/:sku/save_for_later", require_api_login, function (request, response) {
+    let username = request.session['username'];
+    let sku = request.params.sku;
+    if (typeof request.session.cart[sku] == 'undefined') {
+        send_api_errors(response, 404, [{ field: 'sku', message: `${sku} is not in your cart` }]);
+        return;
+    }
+    let on_wishlist = wishlists.get(username)[sku] || 0;
+    wishlists.set_item(username, sku, on_wishlist + request.session.cart[sku]);
+    delete request.session.cart[sku];
+    cart_changed(request);
+    response.json({ cart: request.session.cart, wishlist: wishlists.get(username) });
+});
+
+// signs up for an email when a product is back in stock. Logged in users get it at their account email,
+// everyone else sends one. Body: { "email": "user@host.com" } (only needed when not logged in)
+app.post("/api/notify/:sku", function (request, response) {
+    let sku = request.params.sku;
+    let username = request.session['username'];
+    let email = (typeof username != 'undefined') ? users_reg_data[username].email : (request.body || {}).email;
+    let found = find_product(sku);
+    if (typeof found == 'undefined' || found.product.retired == true) {
+        send_api_errors(response, 404, [{ field: 'sku', message: `There is no product ${sku} for sale` }]);
+        return;
+    }
+    // no one is logged in, so the page has to ask who to send it to
+    if (typeof username == 'undefined' && typeof email == 'undefined') {
+        send_api_errors(response, 401, [{ field: 'email', message: 'Please log in or enter an email address' }]);
+        return;
+    }
+    if (typeof email != 'string' || !is_valid_email(email)) {
+        send_api_errors(response, 400, [{ field: 'email', message: 'Please enter a valid email address in the following format: user@host.com' }]);
+        return;
+    }
+    let is_new = notifications.subscribe(sku, email, username || '');
+    response.json({ sku: sku, email: email, message: is_new ? `We'll email ${email} when ${found.product.name} is back in stock` :
+        `${email} is already on the list for ${found.product.name}` });
 });
 
 
 // routing
+// the money formatting functions, so pages show amounts the same way the server does
+app.get("/money.js", function (request, response, next) {
+    response.sendFile(__dirname + '/money.js');
+});
+
 app.get("/product_data.js", function (request, response, next) {
     response.type('.js');
-    var products_str = `var products_data = ${JSON.stringify(products_data)};`;
+    var products_str = `var products_data = ${JSON.stringify(catalog.active_products(reservations.unreserved(products_data)))};`;
     response.send(products_str);
 });
 
@@ -95,20 +447,30 @@ app.post("/add_to_cart", function (request, response, next) {
     var errors = {}; //assume no errors to start
     var empty = true // assume no quantities entered
 
-    for (let i in products_data[products_key]) {
-        q = POST['quantity' + i];
+    // a form from an old page (or no page at all) might name a product type that isn't there
+    if (typeof products_data[products_key] == 'undefined') {
+        let params = new URLSearchParams({ products_key: '20 Inch Hello Kitty', errorMessage: 'Please choose some products from one of the product pages.' });
+        response.redirect(`./products_display.html?${params.toString()}`);
+        return;
+    }
+    for (let product of products_data[products_key]) {
+        if (product.retired == true) continue; // retired products aren't on the page
+        let sku = product.sku;
+        q = POST['quantity_' + sku];
 
-        if (isNonNegInt(q) == false) {
-            errors['invalid' + i] = `${q} is not a valid quantity for ${products_data[products_key][i].name}`;
+        // what's already in this cart plus what is being added must fit in the stock other carts aren't holding
+        let in_cart = (typeof request.session.cart[sku] != 'undefined') ? request.session.cart[sku] : 0;
+        let quantity_errors = check_cart_quantity(product, q, request.sessionID, in_cart);
+        if (typeof quantity_errors.invalid != 'undefined') {
+            errors['invalid_' + sku] = quantity_errors.invalid;
         }
-
-        if (q > products_data[products_key][i].quantity_available) {
-            errors['quantity' + i] = `${q} items are not available for ${products_data[products_key][i].name}`;
+        if (typeof quantity_errors.not_available != 'undefined') {
+            errors['quantity_' + sku] = quantity_errors.not_available;
         }
         if (q > 0) {
             empty = false;
             console.log("Some quantities inputted.")
-        } else if ((typeof errors['invalid' + i] != 'undefined') && (typeof errors['quantity' + i] != 'undefined')) {
+        } else if ((typeof errors['invalid_' + sku] != 'undefined') && (typeof errors['quantity_' + sku] != 'undefined')) {
             errors['empty'] = `Please enter some quantities.`;
             console.log("Please enter some quantities.");
         }
@@ -136,19 +498,20 @@ app.post("/add_to_cart", function (request, response, next) {
         if (request.session['type'].indexOf(products_key) == -1) {
             request.session['type'].push(products_key);
         }
-        // loops through the cart
-        for (let i in products_data[products_key]) {
-            if (typeof request.session.cart[products_key] == 'undefined') {
-                request.session.cart[products_key] = []; // adds the product key to the cart if there isn't already one
-            }
-            quantity_requested = Number(POST['quantity' + i]);
-            // if the i item in products_key already exists in the cart, add quantities_requested to the existing value
-            if (typeof request.session.cart[products_key][i] != 'undefined') {
-                request.session.cart[products_key][i] += quantity_requested;
-            } else { // else if the i item in products_key doesn't exist in the cart, add quantity_requested 
-                request.session.cart[products_key][i] = quantity_requested;
+        // loops through the products on the page, the cart is keyed by sku
+        for (let product of products_data[products_key]) {
+            if (product.retired == true) continue;
+            quantity_requested = Number(POST['quantity_' + product.sku]);
+            if (!(quantity_requested > 0)) continue; // nothing entered for this product
+            // if the item already exists in the cart, add quantities_requested to the existing value
+            if (typeof request.session.cart[product.sku] != 'undefined') {
+                request.session.cart[product.sku] += quantity_requested;
+            } else { // else if the item doesn't exist in the cart, add quantity_requested 
+                request.session.cart[product.sku] = quantity_requested;
             }
         }
+        // hold the stock for this cart so nobody else can buy it for a while
+        cart_changed(request);
         console.log(request.session.cart);
         console.log(request.session['type']);
     }
@@ -157,25 +520,176 @@ app.post("/add_to_cart", function (request, response, next) {
     response.redirect(`./products_display.html?${params.toString()}`);
 });
 
-// Referenced Assignment 3 Examples
-app.post("/confirm_purchase", function (request, response) {
-    // Validate that item quantities are still available
-    // If not, send user back to the cart and tell them the quantities are no longer available
-    var errors = {}; //assume no errors to start
-    for (let type in request.session.cart) {
-        for (let i in request.session.cart[type]) {
-            if (request.session.cart[type][i] > products_data[type][i].quantity_available) {
-                errors['notAvailable_' + type + '_' + i] = `${request.session.cart[type][i]} items are not available for ${products_data[type][i].name}`;
+// checkout picks up at the first step this session hasn't done
+app.get("/checkout", allow_checkout, function (request, response) {
+    response.redirect(`/checkout/${checkout.current_step(request.session).id}`);
+});
+
+app.get("/checkout/:step", allow_checkout, function (request, response) {
+    let step = checkout.step(request.session, request.params.step);
+    if (typeof step == 'undefined') {
+        response.status(404).send(`There is no checkout step ${escape_html(request.params.step)}`);
+        return;
+    }
+    // steps can't be skipped
+    if (!checkout.can_show(request.session, step.id)) {
+        response.redirect(`/checkout/${checkout.current_step(request.session).id}`);
+        return;
+    }
+    response.send(generate_checkout_page(request, step.id));
+});
+
+// each step checks its form, keeps it in the session and goes on to the next step.
+// If the form has errors the step is shown again with them, filled in with what was entered
+app.post("/checkout/:step", allow_checkout, function (request, response) {
+    let step = checkout.step(request.session, request.params.step);
+    if (typeof step == 'undefined' || step.id == 'confirm' || !checkout.can_show(request.session, step.id)) {
+        response.redirect('/checkout');
+        return;
+    }
+    let step_errors = {};
+    let order_quote = quote_for(request);
+    if (step.id == 'contact') {
+        // a guest's name and email have to pass the same checks as when registering
+        let guest = { fullname: String(request.body.fullname || '').trim(), email: String(request.body.email || '').trim() };
+        step_errors = validate_name_and_email(guest.fullname, guest.email);
+        if (Object.keys(step_errors).length == 0) {
+            request.session.guest = guest;
+        }
+    } else if (step.id == 'review') {
+        if (order_quote.lines.length == 0) {
+            step_errors['cart_empty'] = 'Your cart is empty. Please enter some quantities before checking out.';
+        } else if (typeof order_quote.coupon_error != 'undefined') {
+            step_errors['coupon'] = order_quote.coupon_error;
+        } else if (order_quote.lines.every(line => line.gift_card)) {
+            // just gift cards, there is nothing to ship
+            checkout.complete(request.session, 'shipping_address');
+            checkout.complete(request.session, 'shipping_method');
+        }
+    } else if (step.id == 'shipping_address') {
+        if (typeof request.body.pickup != 'undefined') {
+            request.session.shipping_method = shipping.methods().find(shipping_method => shipping_method.pickup).id;
+            checkout.complete(request.session, 'shipping_method');
+        } else {
+            let address = addresses.address_from(request.body);
+            step_errors = addresses.validate_address(address, tax.counties(address.state));
+            if (Object.keys(step_errors).length == 0) {
+                // spell the county the way the tax rules do
+                address.county = tax.counties(address.state).find(county => county.toLowerCase() == address.county.toLowerCase()) || address.county;
+                request.session.shipping_address = address;
             }
         }
+    } else if (step.id == 'shipping_method') {
+        let method = shipping.methods().find(shipping_method => shipping_method.id == request.body.shipping_method);
+        if (typeof method == 'undefined') {
+            step_errors['shipping_method'] = 'Please pick a shipping method';
+        } else if (!method.pickup && typeof request.session.shipping_address == 'undefined') {
+            step_errors['shipping_method'] = `Please enter a shipping address to use ${method.name}`;
+        } else {
+            request.session.shipping_method = method.id;
+        }
+    } else if (step.id == 'payment') {
+        let billing_address;
+        if (request.body.same_as_shipping == 'on' && typeof request.session.shipping_address != 'undefined') {
+            billing_address = request.session.shipping_address;
+        } else {
+            // the billing address is for the card, so the county doesn't matter
+            billing_address = addresses.address_from(request.body);
+            step_errors = addresses.validate_address(billing_address, []);
+        }
+        if (Object.keys(step_errors).length == 0) {
+            request.session.billing_address = billing_address;
+            if (typeof users_reg_data[request.session['username']] != 'undefined') {
+                request.session.use_store_credit = (request.body.use_store_credit == 'on');
+            }
+        }
+    }
+    if (Object.keys(step_errors).length > 0) {
+        response.send(generate_checkout_page(request, step.id, step_errors, request.body));
+        return;
     }
+    checkout.complete(request.session, step.id);
+    response.redirect('/checkout');
+});
+
+// Referenced Assignment 3 Examples
+app.post("/confirm_purchase", allow_checkout, function (request, response) {
+    // check who is buying before anything is sold: a logged in user, or a guest who gave their name and email
+    var customer = checkout_customer(request);
+    if (typeof customer == 'undefined') {
+        response.redirect('/checkout');
+        return;
+    }
+    // orders are placed from the last checkout step, after the addresses and payment are filled in
+    if (!checkout.ready(request.session)) {
+        response.redirect('/checkout');
+        return;
+    }
+    var errors = {}; //assume no errors to start
+    var order_number;
+    var cart = request.session.cart;
+    var lines = [];
+    for (let sku in cart) {
+        if (cart[sku] > 0) lines.push({ sku: sku, quantity: cart[sku] });
+    }
+    // price the order the same way cart.html showed it
+    var order_quote = quote_for(request);
     // if there are no items in the cart, don't let the user submit order
-    if (typeof request.session.cart == 'undefined' || Object.keys(request.session.cart).length == 0) {
+    if (lines.length == 0) {
         errors['cart_empty'] = 'Your cart is empty. Please enter some quantities before checking out.';
+    } else if (order_quote.needs_address) {
+        errors['shipping_address'] = 'Please enter a shipping address so we can work out the tax.';
+    } else if (typeof order_quote.coupon_error != 'undefined') {
+        // the coupon was good when it was added, but the cart or the coupon changed since
+        errors['coupon'] = order_quote.coupon_error;
+    } else if (order_quote.amount_due_cents > 0) {
+        // what gift cards and store credit don't cover goes on the card, check it before it goes to the payment provider
+        let card_errors = payments.validate_card(payments.card_from(request.body));
+        if (Object.keys(card_errors).length > 0) {
+            response.send(generate_checkout_page(request, 'confirm', card_errors, request.body));
+            return;
+        }
     }
 
     // if there are errors, send the user back to the cart with the error string
     if (Object.keys(errors).length > 0) {
+        send_back_to_cart(errors);
+        return;
+    }
+    // a second click on Place Order while the card is being checked doesn't place a second order
+    if (placing_orders[request.sessionID] == true) {
+        send_back_to_cart({ placing: 'Your order is already being placed.' });
+        return;
+    }
+    placing_orders[request.sessionID] = true;
+    // nothing is sold until the card is authorized
+    try {
+        authorize_card(order_quote.amount_due_cents, payments.card_from(request.body), function (declined_message, card_payment) {
+            try {
+                if (typeof declined_message != 'undefined') {
+                    send_back_to_cart({ declined: declined_message });
+                    return;
+                }
+                order_quote.card_payment = card_payment;
+                place_order();
+            } catch (err) {
+                // this runs when the payment provider answers, where Express can't catch an error and would crash
+                console.log(err);
+                if (!response.headersSent) {
+                    send_back_to_cart({ not_saved: 'Sorry, something went wrong placing your order. Please check your email for an invoice before trying again.' });
+                }
+            } finally {
+                delete placing_orders[request.sessionID];
+            }
+        });
+    } catch (err) {
+        // the provider failed before it could answer, so the card wasn't authorized
+        console.log(err);
+        delete placing_orders[request.sessionID];
+        send_back_to_cart({ payment_error: 'Sorry, your card could not be checked. Please try again.' });
+    }
+
+    function send_back_to_cart(errors) {
         var errorMessage_str = '';
         for (err in errors) {
             errorMessage_str += errors[err] + '\n';
@@ -185,100 +699,100 @@ app.post("/confirm_purchase", function (request, response) {
         params.append('errorMessage', errorMessage_str);
         response.redirect(`./cart.html?${params.toString()}`);
         console.log(errorMessage_str);
-        return;
-    } else {
-        for (let type in request.session.cart) {
-            for (let i in request.session.cart[type]) {
-                products_data[type][i].quantity_available -= request.session.cart[type][i];
-            }
-        }
     }
 
-
-
-
-        // if quantities are available, email an invoice, destroy the session, and display final invoice 
-        // check if user is logged in, if not send them to the login page
-        if (typeof request.cookies['username'] == 'undefined') {
-            response.redirect("./login");
+    // takes the items out of stock, uses up the coupon, gift cards and store credit, makes the gift cards bought and keeps
+    // a record of the order, then sends the invoice. If the order can't be placed the card authorization is let go
+    function place_order() {
+        // the coupon, gift cards and store credit were checked when the order was priced, but other checkouts may have
+        // used them while the card was being authorized. Nothing from here to the order being placed waits on anything,
+        // so once they are checked again no other checkout can use them first
+        let recheck_errors = check_payments(order_quote.payments, request.session['username']);
+        if (typeof order_quote.coupon != 'undefined') {
+            let coupon_error = coupons.limit_error(order_quote.coupon.code, request.session['username']);
+            if (typeof coupon_error != 'undefined') {
+                recheck_errors['coupon'] = coupon_error;
+            }
+        }
+        if (Object.keys(recheck_errors).length > 0) {
+            void_card(order_quote.card_payment);
+            send_back_to_cart(recheck_errors);
             return;
         }
-        var username = request.cookies["username"];
-        var str = `
-    <link rel="stylesheet" href="invoice.css">
-    Thank you for your purchase, ${users_reg_data[username].fullname}!
-    <img src="./images/hkwaving.gif" style="width:50%">
-    <table border="2">
-    <tbody>
-      <tr style="background-color: palevioletred">
-        <th style="text-align: center;" width="43%">Product Image</th>
-        <th style="text-align: center;" width="11%">Product Name</th>
-        <th style="text-align: center;" width="13%">Quantity</th>
-        <th style="text-align: center;" width="54%">Extended Price</th>
-      </tr>`;
-        subtotal = 0;
-        // loops through the cart
-        for (let type in request.session.cart) {
-            for (let i in request.session.cart[type]) {
-                a_qty = 0;
-                // if the quantity is valid, store the quantity in a_qty
-                if (typeof request.session.cart[type][i] != 'undefined') {
-                    a_qty = request.session.cart[type][i];
+        // Validate that item quantities are still available and take them out of stock, all in one step.
+        // If any line isn't available nothing is taken, and if saving fails the stock is put back
+        try {
+            order_number = orders.reserve_number();
+            errors = inventory.sell(lines, product => reservations.available_for(product, request.sessionID), customer.username || 'guest', `order ${order_number}`);
+        } catch (err) {
+            console.log(err);
+            errors['not_saved'] = 'Sorry, your order could not be placed. Please try again.';
+        }
+        if (Object.keys(errors).length > 0) {
+            void_card(order_quote.card_payment);
+            send_back_to_cart(errors);
+            return;
+        }
+        // count the coupon's use, take what the gift cards and store credit paid off them, give the gift cards bought in
+        // this order their codes, and keep a record of the order with the prices it was sold at. If any of that fails
+        // the order didn't happen, so everything it took is put back and the gift cards it made are emptied
+        var coupon_redeemed = false;
+        var taken_payments = [];
+        var issued_gift_cards = [];
+        order_quote.billing_address = request.session.billing_address;
+        try {
+            if (typeof order_quote.coupon != 'undefined') {
+                coupons.redeem(order_quote.coupon.code, request.session['username']);
+                coupon_redeemed = true;
+            }
+            for (let payment of order_quote.payments) {
+                if (payment.type == 'gift_card') {
+                    gift_cards.redeem(payment.code, payment.amount_cents, `order ${order_number}`);
+                    taken_payments.push(payment);
+                } else if (payment.type == 'store_credit') {
+                    users_reg_data[request.session['username']].store_credit_cents -= payment.amount_cents;
+                    taken_payments.push(payment);
+                    save_users();
                 }
-                // if the quantity is greater than 0, carry out calculations for extended price & subtotal
-                if (a_qty > 0) {
-                    // product row
-                    extended_price = a_qty * products_data[type][i].price
-                    subtotal += extended_price;
-                    str += (`
-          <tr>
-            <td><img src="./images/${products_data[type][i].image}" width="100"></td>
-            <td width="43%">${products_data[type][i].name}
-            <td align="center" width="11%">${a_qty}</td>
-            <td width="54%">\$${extended_price.toFixed(2)}</td>
-          </tr>
-          `);
+            }
+            for (let line of order_quote.lines) {
+                if (!line.gift_card) continue;
+                for (let i = 0; i < line.quantity; i++) {
+                    issued_gift_cards.push({ code: gift_cards.issue(line.price_cents, customer.username || customer.email, `bought in order ${order_number}`), amount_cents: line.price_cents });
                 }
             }
+            let guest = (typeof customer.username == 'undefined') ? { fullname: customer.fullname, email: customer.email } : undefined;
+            orders.place(orders.create(order_number, customer.username, order_quote, guest));
+        } catch (err) {
+            console.log(err);
+            undo_order(coupon_redeemed, taken_payments, issued_gift_cards);
+            return;
         }
-        // Compute tax
-        tax_rate = 0.04;
-        tax = tax_rate * subtotal;
-
-        // Compute shipping
-        if (subtotal <= 45) {
-            shipping = 10;
-        } else if (subtotal <= 100) {
-            shipping = 15;
-        } else {
-            shipping = 0.07 * subtotal; // 7% of subtotal
+        // the stock is sold now, so this cart doesn't need to hold it anymore. Empty the cart right away
+        // (not when the email is done) so clicking Place Order twice can't buy everything again
+        reservations.release(request.sessionID);
+        request.session.cart = {};
+        delete request.session.coupon_code;
+        delete request.session.gift_card_codes;
+        delete request.session.use_store_credit;
+        // the order is placed and paid for, so if emptying the saved cart fails it is only logged,
+        // the shopper still gets their invoice
+        try {
+            if (typeof request.session['username'] != 'undefined') {
+                saved_carts.save(request.session['username'], {});
+            }
+        } catch (err) {
+            console.log(err);
         }
 
-        // Compute grand total
-        total = subtotal + tax + shipping;
-
-        str += `<tr>
-        <td>&nbsp;</td>
-        <td colspan="2">Sub-total</td>
-        <td width="54%">$
-          ${subtotal.toFixed(2)}
-        </td>
-      </tr>
-      <tr>
-        <td>&nbsp;</td>
-				<td colspan="2">Tax @ ${(100 * tax_rate)}%</td>
-        <td width="54%">$${tax.toFixed(2)}</td>
-      </tr>
-      <tr>
-        <td>&nbsp;</td>
-        <td colspan="2"> Shipping </td>       
-        <td width="54%">\$${shipping.toFixed(2)}</td>
-      </tr>
-      <tr>
-        <td>&nbsp;</td>
-        <td colspan="2"><strong><span style= "color:green; font-size:20px" >Total</span></strong></td>        
-        <td width="65%"><strong><span style="color:green; font-size:20px">\$${total.toFixed(2)}</span></strong></td>
-      </tr></table>
+        // quantities were available, so email an invoice, destroy the session, and display final invoice 
+        var str = `
+    <link rel="stylesheet" href="invoice.css">
+    Thank you for your purchase, ${escape_html(customer.fullname)}!
+    <img src="./images/hkwaving.gif" style="width:50%">
+    <h2>Order number ${order_number}</h2>
+    ${generate_invoice_table(order_quote)}
+    ${generate_issued_gift_cards(issued_gift_cards)}
       `;
 
         var redirect_to_home =
@@ -288,22 +802,11 @@ app.post("/confirm_purchase", function (request, response) {
         style="margin:0px auto; display:block; background-color: palevioletred; border-radius: 8px; font-family: 'Montserrat', sans-serif">
     </form>`;
 
-        // Set up mail server. Only will work on UH Network due to security restrictions
-        var transporter = nodemailer.createTransport({
-            host: "mail.hawaii.edu",
-            port: 25,
-            secure: false, // use TLS
-            tls: {
-                // do not fail on invalid certs
-                rejectUnauthorized: false
-            }
-        });
-
-        var user_email = users_reg_data[username].email;
+        var user_email = customer.email;
         var mailOptions = {
             from: 'phoney_store@bogus.com',
             to: user_email,
-            subject: 'Your phoney invoice',
+            subject: `Your phoney invoice for order ${order_number}`,
             html: str
         };
 
@@ -313,14 +816,62 @@ app.post("/confirm_purchase", function (request, response) {
             } else {
                 str += `<br>Your invoice was mailed to ${user_email} <br><br><br>`;
             }
-            // destroy the session & send the invoice to the browser
-            request.session.destroy();
-            response.send(str + redirect_to_home);
+            // start a new session without the cart and checkout & send the invoice to the browser. A customer
+            // who is logged in stays logged in, and a guest can still make an account from this order, so the
+            // new session remembers which order it was
+            request.session.regenerate(function () {
+                if (typeof customer.username != 'undefined') {
+                    request.session['username'] = customer.username;
+                    request.session['email'] = customer.email;
+                    request.session['fullname'] = customer.fullname;
+                    response.send(str + redirect_to_home);
+                    return;
+                }
+                request.session.guest_order_number = order_number;
+                response.send(str + generate_guest_account_form(order_number) + redirect_to_home);
+            });
         });
+    }
 
-
-
-    });
+    // puts back what an order that could not be placed took (its coupon use if coupon_redeemed, the gift cards and
+    // store credit in taken_payments, and its stock), empties the gift cards it made, lets the card go and sends the
+    // shopper back to the cart
+    function undo_order(coupon_redeemed, taken_payments, issued_gift_cards) {
+        if (coupon_redeemed) {
+            try {
+                coupons.unredeem(order_quote.coupon.code, request.session['username']);
+            } catch (err) {
+                console.log(err);
+            }
+        }
+        for (let issued of issued_gift_cards) {
+            try {
+                gift_cards.redeem(issued.code, issued.amount_cents, `order ${order_number} could not be placed`);
+            } catch (err) {
+                console.log(err);
+            }
+        }
+        for (let payment of taken_payments) {
+            try {
+                if (payment.type == 'gift_card') {
+                    gift_cards.refund(payment.code, payment.amount_cents, `order ${order_number} could not be placed`);
+                } else if (payment.type == 'store_credit') {
+                    users_reg_data[request.session['username']].store_credit_cents += payment.amount_cents;
+                    save_users();
+                }
+            } catch (err) {
+                console.log(err);
+            }
+        }
+        try {
+            inventory.reverse_sale(lines, customer.username || 'guest', `order ${order_number} could not be placed`);
+        } catch (err) {
+            console.log(err);
+        }
+        void_card(order_quote.card_payment);
+        send_back_to_cart({ not_saved: 'Sorry, your order could not be placed. Please try again.' });
+    }
+});
 
 
 app.get("/register", function (request, response) {
@@ -332,57 +883,10 @@ app.get("/register", function (request, response) {
 
 app.post("/register", function (request, response) {
     let params = new URLSearchParams(request.query);
-    errors = {}; // start with no errors
     username = request.body['username'].toLowerCase();
     // process a simple register form
-    if (typeof users_reg_data[username] != 'undefined') { // if the username already exists
-        errors['username_taken'] = `Hey! ${username} is already registered!`;
-    }
-    if (request.body.password != request.body.repeat_password) { //password doesn't match
-        errors['password_mismatch'] = `Repeat password not the same as password!`;
-    }
-    if (request.body.username == '') { // no username input
-        errors['no_username'] = `You need to enter a username!`;
-    }
-    if (request.body.fullname == '') { // no name input
-        errors['no_name'] = `You need to enter a name!`;
-    }
-    if (request.body.email == '') { // no email input
-        errors['no_email'] = `You need to enter an email!`;
-    }
-
-    // Referenced code from https://www.w3spoint.com/spaces-letters-alphabets-validation-javascript-js
-    // Full name - only letters
-    var alphabet = /^[a-zA-Z\s]*$/;
-    if (alphabet.test(request.body.fullname)) {
-    } else {
-        errors['nameError'] = `Name must have alphabet characters only`;
-    }
-
-    // Username - only numbers and characters are valid 
-    var letters = /^[0-9a-zA-Z]+$/;
-    if (letters.test(username)) {
-    } else {
-        errors['validateUser'] = `Username must have alphabet and numerical characters only`;
-    }
-
-    // Referenced code from https://www.w3resource.com/javascript/form/email-validation.php
-    // Email validation
-    var emailCharacters = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
-    if (emailCharacters.test(request.body.email)) {
-    } else {
-        errors['emailError'] = 'Please enter a valid email address in the following format: user@host.com'
-    }
-
-    // Username must be between 4-10 characters. Already set maxlength to 10, so just make sure it's at least 4 characters
-    if (request.body.username.length < 4) {
-        errors['validateUser'] = `Username must be at least 4 characters`;
-    }
-
-    // Password should have a minimum of 6 characters 
-    if (request.body.password.length < 6) {
-        errors['validatePassword'] = `Password must be at least 6 characters`;
-    }
+    errors = Object.assign(validate_new_login(username, request.body.password, request.body.repeat_password),
+        validate_name_and_email(request.body.fullname, request.body.email));
 
     // if no errors, continue to register the new user
     if (Object.keys(errors).length == 0) {
@@ -395,15 +899,20 @@ app.post("/register", function (request, response) {
         // set full name
         users_reg_data[username].fullname = request.body['fullname'];
         // write the info to the JSON file
-        fs.writeFileSync('./user_data.json', JSON.stringify(users_reg_data));
+        save_users();
         var date = new Date();
         var minutes = 30;
         date.setTime(date.getTime() + (minutes * 60 * 1000)); // expires in 30 minutes 
         // create username cookie 
         response.cookie('username', request.body.username, { expires: date });
         console.log(request.cookies);
-        // redirect to login page
-        response.redirect(`./products_display.html?products_key=${"20 Inch Hello Kitty"}` + params.toString());
+        // the new user is logged in, so store them in the session and start saving their cart
+        request.session['username'] = username;
+        request.session['email'] = users_reg_data[username]['email'];
+        request.session['fullname'] = users_reg_data[username]['fullname'];
+        cart_changed(request);
+        // go back to where they were sent to log in from, or the products display page
+        response.redirect(after_login_url(params));
         return;
     } else { // regenerate the register page with sticky form 
         var str = generate_register_page(params, { "username": username, "fullname": request.body.fullname, "email": request.body.email });
@@ -441,8 +950,17 @@ app.post("/login", function (request, response) {
             response.cookie('username', login_username, { expires: date });
             console.log(request.cookies);
 
-            // go back to the products display page 
-            response.redirect(`./products_display.html?products_key=${"20 Inch Hello Kitty"}` + params.toString());
+            // combine what they put in the cart before logging in with the cart they saved last time
+            let merged = saved_carts.merge(request.session.cart, saved_carts.get(login_username), find_product,
+                product => reservations.available_for(product, request.sessionID));
+            request.session.cart = merged.cart;
+            cart_changed(request);
+            if (merged.messages.length > 0) {
+                params.append('errorMessage', merged.messages.join('\n'));
+            }
+
+            // go back to where they were sent to log in from (like the cart, to finish checking out), or the products display page
+            response.redirect(after_login_url(params));
             return; // no other code 
         } else { // if password doesn't match, redirect to the login page and add error msg to array
             loginerrors['incorrect_password'] = `Incorrect password for ${login_username}`;
@@ -453,6 +971,465 @@ app.post("/login", function (request, response) {
     response.send(str);
 });
 
+// sends the user to log in, with a return_to so logging in (or registering) brings them back to this page.
+// A form that was posted can't be sent again, so that goes back to the cart instead
+function redirect_to_login(request, response) {
+    let return_to = (request.method == 'GET') ? request.originalUrl : '/cart.html';
+    response.redirect(`/login?${new URLSearchParams({ return_to: return_to }).toString()}`);
+}
+
+// where to go after logging in or registering: return_to from params if it is a page on this site, otherwise
+// the products display page. The rest of params (like errorMessage) go along
+function after_login_url(params) {
+    let return_to = params.get('return_to');
+    params.delete('return_to');
+    // only paths on this site, so a link can't send someone off to another site after they log in
+    if (return_to != null && /^\/[^\/\\]/.test(return_to)) {
+        let query = params.toString();
+        return (query == '') ? return_to : return_to + ((return_to.includes('?')) ? '&' : '?') + query;
+    }
+    return `./products_display.html?products_key=${"20 Inch Hello Kitty"}&` + params.toString();
+}
+
+// only lets logged in admins (users with "admin": true in user_data.json) through to the admin pages.
+// No account in the repo is an admin, since their passwords are known. To make one, register an account with
+// a strong password, stop the server, add "admin": true to that user in user_data.json, and start it again
+function require_admin(request, response, next) {
+    let username = request.session['username'];
+    if (typeof username == 'undefined' || typeof users_reg_data[username] == 'undefined' || users_reg_data[username].admin != true) {
+        redirect_to_login(request, response);
+        return;
+    }
+    next();
+}
+
+// catalog administration page
+app.get("/admin", require_admin, function (request, response) {
+    response.send(generate_admin_page());
+});
+
+app.post("/admin/add_category", require_admin, function (request, response) {
+    let category = request.body['category'];
+    let admin_errors = catalog.validate_category(category, products_data);
+    if (Object.keys(admin_errors).length > 0) {
+        response.send(generate_admin_page(admin_errors, request.body, 'add_category'));
+        return;
+    }
+    inventory.add_category(category.trim());
+    response.redirect('/admin');
+});
+
+app.post("/admin/add_product", require_admin, function (request, response) {
+    let admin_errors = catalog.validate_product(request.body, products_data, __dirname + '/public/images');
+    if (Object.keys(admin_errors).length > 0) {
+        response.send(generate_admin_page(admin_errors, request.body, 'add_product'));
+        return;
+    }
+    inventory.add_product(request.body.category, {
+        "sku": request.body.sku,
+        "name": request.body.name.trim(),
+        "price": Number(request.body.price),
+        "weight": Number(request.body.weight),
+        "image": request.body.image,
+        "quantity_available": Number(request.body.quantity_available)
+    }, request.session['username']);
+    response.redirect('/admin');
+});
+
+app.post("/admin/edit_product", require_admin, function (request, response) {
+    let found = catalog.find_product(products_data, request.body.sku);
+    if (typeof found == 'undefined') {
+        response.status(404).send(`There is no product with sku ${escape_html(request.body.sku)}`);
+        return;
+    }
+    let admin_errors = catalog.validate_product(request.body, products_data, __dirname + '/public/images', found.product.sku);
+    if (Object.keys(admin_errors).length > 0) {
+        response.send(generate_admin_page(admin_errors, request.body, 'edit_product'));
+        return;
+    }
+    inventory.change_product(found.product.sku, {
+        "name": request.body.name.trim(),
+        "price": Number(request.body.price),
+        "weight": Number(request.body.weight),
+        "image": request.body.image
+    });
+    // a new quantity goes through the ledger as an adjustment so the stock history still adds up
+    let change = Number(request.body.quantity_available) - found.product.quantity_available;
+    if (change != 0) {
+        inventory.adjust(found.product.sku, change, 'changed on catalog page', request.session['username']);
+    }
+    response.redirect('/admin');
+});
+
+// checks the restock/adjust form. Restocks must add stock, adjustments can add or take away but need a reason
+function validate_stock_change(form, product, is_restock) {
+    let stock_errors = {};
+    if (!/^-?\d+$/.test(form.change || '') || Number(form.change) == 0) {
+        stock_errors['change'] = 'Enter a whole number of items (not 0)';
+    } else if (is_restock && Number(form.change) < 0) {
+        stock_errors['change'] = 'A restock has to add items, use Adjust to take items away';
+    } else if (product.quantity_available + Number(form.change) < 0) {
+        stock_errors['change'] = `There are only ${product.quantity_available} in stock`;
+    }
+    if (!is_restock && (typeof form.reason != 'string' || form.reason.trim() == '')) {
+        stock_errors['reason'] = 'Adjustments need a reason';
+    }
+    return stock_errors;
+}
+
+// new stock arrived for a product
+app.post("/admin/restock", require_admin, function (request, response) {
+    let found = catalog.find_product(products_data, request.body.sku);
+    if (typeof found == 'undefined') {
+        response.status(404).send(`There is no product with sku ${escape_html(request.body.sku)}`);
+        return;
+    }
+    let admin_errors = validate_stock_change(request.body, found.product, true);
+    if (Object.keys(admin_errors).length > 0) {
+        response.send(generate_admin_page(admin_errors, request.body, 'stock_change'));
+        return;
+    }
+    let reason = (request.body.reason || '').trim() || 'restock';
+    inventory.restock(found.product.sku, Number(request.body.change), reason, request.session['username']);
+    response.redirect('/admin');
+});
+
+// stock was counted, damaged, lost or found
+app.post("/admin/adjust", require_admin, function (request, response) {
+    let found = catalog.find_product(products_data, request.body.sku);
+    if (typeof found == 'undefined') {
+        response.status(404).send(`There is no product with sku ${escape_html(request.body.sku)}`);
+        return;
+    }
+    let admin_errors = validate_stock_change(request.body, found.product, false);
+    if (Object.keys(admin_errors).length > 0) {
+        response.send(generate_admin_page(admin_errors, request.body, 'stock_change'));
+        return;
+    }
+    inventory.adjust(found.product.sku, Number(request.body.change), request.body.reason.trim(), request.session['username']);
+    response.redirect('/admin');
+});
+
+// every stock movement of one sku, rebuilt from the ledger
+app.get("/admin/stock_history", require_admin, function (request, response) {
+    let history = inventory.stock_history(request.query.sku);
+    if (typeof history.product == 'undefined' && history.rows.length == 0) {
+        response.status(404).send(`There is no product with sku ${escape_html(request.query.sku)}`);
+        return;
+    }
+    response.send(generate_stock_history_page(request.query.sku, history));
+});
+
+// every order, with buttons to move each one to its next status
+app.get("/admin/orders", require_admin, function (request, response) {
+    response.send(generate_admin_orders_page());
+});
+
+// moves an order to a new status (paid, packed, ...) and emails the customer about it
+app.post("/admin/order_status", require_admin, function (request, response) {
+    let order_number = request.body.order_number;
+    let username = request.session['username'];
+    let order = orders.find(order_number);
+    // cancelling puts the stock back and refunds the order, and an order is paid once its card is charged
+    if (request.body.status == 'cancelled') {
+        try {
+            cancel_order(order_number, username, status_changed);
+        } catch (err) {
+            console.log(err);
+            status_changed({ status: 'The new status could not be saved, please try again' });
+        }
+    } else if (request.body.status == 'paid' && typeof order != 'undefined' && order.status == 'placed' && typeof order.card_payment != 'undefined' && order.card_payment.status == 'authorized') {
+        capture_card(order, function (error) {
+            if (error) {
+                console.log(error);
+                status_changed({ status: `The card for order ${order_number} could not be charged: ${error.message}` });
+                return;
+            }
+            change_status();
+        });
+    } else {
+        change_status();
+    }
+
+    function change_status() {
+        let admin_errors;
+        try {
+            admin_errors = orders.change_status(order_number, request.body.status, username);
+            if (Object.keys(admin_errors).length == 0) {
+                send_status_email(orders.find(order_number));
+            }
+        } catch (err) {
+            console.log(err);
+            admin_errors = { status: 'The new status could not be saved, please try again' };
+        }
+        status_changed(admin_errors);
+    }
+
+    function status_changed(admin_errors) {
+        if (Object.keys(admin_errors).length > 0) {
+            response.send(generate_admin_orders_page(admin_errors, request.body));
+            return;
+        }
+        response.redirect('/admin/orders');
+    }
+});
+
+// one order with its returns and refunds, where returns are approved and refunds are given
+app.get("/admin/order", require_admin, function (request, response) {
+    let order = orders.find(request.query.order_number);
+    if (typeof order == 'undefined') {
+        response.status(404).send(`There is no order ${escape_html(request.query.order_number)}`);
+        return;
+    }
+    response.send(generate_admin_order_page(order));
+});
+
+// approves or rejects a return. Approved items go back in stock and are refunded the quantities the admin entered
+// (they can be less than came back, like for an item that came back damaged)
+app.post("/admin/return", require_admin, function (request, response) {
+    let order = orders.find(request.body.order_number);
+    if (typeof order == 'undefined') {
+        response.status(404).send(`There is no order ${escape_html(request.body.order_number)}`);
+        return;
+    }
+    let username = request.session['username'];
+    let decision = (request.body.decision == 'approved') ? 'approved' : 'rejected';
+    let order_return = orders.find_return(order, request.body.return_number);
+    if (typeof order_return == 'undefined') {
+        response.send(generate_admin_order_page(order, { return_number: `There is no return ${request.body.return_number} for order ${order.order_number}` }, request.body));
+        return;
+    }
+    // only what the customer sent back in this return can be refunded with it
+    let refund = refunds.for_return(order, order_return, form_quantities(request.body, 'refund_'));
+    let admin_errors = refund.errors;
+    if (Object.keys(admin_errors).length == 0) {
+        try {
+            admin_errors = orders.resolve_return(order.order_number, request.body.return_number, decision, username);
+        } catch (err) {
+            console.log(err);
+            admin_errors = { return_number: 'The return could not be saved, please try again' };
+        }
+    }
+    if (Object.keys(admin_errors).length > 0) {
+        response.send(generate_admin_order_page(order, admin_errors, request.body));
+        return;
+    }
+    if (decision == 'rejected') {
+        send_order_email(order, `Your return for order ${order.order_number}`, `Sorry, we could not accept your return of ${describe_lines(order_return.lines)}.`);
+        response.redirect(`/admin/order?order_number=${encodeURIComponent(order.order_number)}`);
+        return;
+    }
+    // the return is approved now, so if its items can't go back in stock the admin is told to put them back by hand.
+    // Gift cards have no stock
+    try {
+        let stock_lines = order_return.lines.filter(line => !order.lines.some(order_line => order_line.sku == line.sku && order_line.gift_card));
+        inventory.return_lines(stock_lines, `return ${order_return.return_number} of order ${order.order_number}`, username);
+    } catch (err) {
+        console.log(err);
+        admin_errors['stock'] = `The return was approved but its items could not be put back in stock (${err.message}), please restock them by hand`;
+    }
+    send_order_email(order, `Your return for order ${order.order_number}`, `We got your return of ${describe_lines(order_return.lines)}, thank you.`);
+    if (refund.lines.length == 0) {
+        returned();
+        return;
+    }
+    issue_refund(order, refund, request.body.refund_to, `return ${order_return.return_number}`, username, function (error) {
+        if (error) {
+            console.log(error);
+            admin_errors['refund'] = `The return was approved but the refund could not be made (${error.message}), please refund it below`;
+        }
+        returned();
+    });
+
+    function returned() {
+        if (Object.keys(admin_errors).length > 0) {
+            response.send(generate_admin_order_page(order, admin_errors));
+            return;
+        }
+        response.redirect(`/admin/order?order_number=${encodeURIComponent(order.order_number)}`);
+    }
+});
+
+// refunds some items of an order (refund_<sku> quantities), or everything left on it when full is sent
+app.post("/admin/refund", require_admin, function (request, response) {
+    let order = orders.find(request.body.order_number);
+    if (typeof order == 'undefined') {
+        response.status(404).send(`There is no order ${escape_html(request.body.order_number)}`);
+        return;
+    }
+    let refund = (typeof request.body.full != 'undefined') ? refunds.full(order) : refunds.for_lines(order, form_quantities(request.body, 'refund_'));
+    let admin_errors = refund.errors;
+    if (Object.keys(admin_errors).length == 0 && refund.amount_cents <= 0) {
+        admin_errors = { refund: (refund.full) ? `There is nothing left to refund on order ${order.order_number}` : 'Please enter how many of each item to refund' };
+    }
+    if (Object.keys(admin_errors).length > 0) {
+        response.send(generate_admin_order_page(order, admin_errors, request.body));
+        return;
+    }
+    issue_refund(order, refund, request.body.refund_to, (refund.full) ? 'full refund' : 'refund', request.session['username'], function (error) {
+        if (error) {
+            console.log(error);
+            response.send(generate_admin_order_page(order, { refund: `The refund could not be made (${error.message}), please try again` }, request.body));
+            return;
+        }
+        response.redirect(`/admin/order?order_number=${encodeURIComponent(order.order_number)}`);
+    });
+});
+
+// retiring hides a product from shoppers but keeps it (and its sku) in products.json, so old carts still make sense
+app.post("/admin/retire_product", require_admin, function (request, response) {
+    let found = catalog.find_product(products_data, request.body.sku);
+    if (typeof found == 'undefined') {
+        response.status(404).send(`There is no product with sku ${escape_html(request.body.sku)}`);
+        return;
+    }
+    inventory.change_product(found.product.sku, { "retired": request.body.retired != 'false' });
+    response.redirect('/admin');
+});
+
+// the order pages are only for logged in users
+function require_login(request, response, next) {
+    if (typeof users_reg_data[request.session['username']] == 'undefined') {
+        redirect_to_login(request, response);
+        return;
+    }
+    next();
+}
+
+// the logged in user's order for order_number, or undefined if it isn't theirs
+function find_user_order(request, order_number) {
+    let order = orders.find(order_number);
+    return (typeof order != 'undefined' && order.username == request.session['username']) ? order : undefined;
+}
+
+// "My Orders": the logged in user's orders with their dates, totals and status
+app.get("/my_orders", require_login, function (request, response) {
+    response.send(generate_my_orders_page(orders.for_user(request.session['username'])));
+});
+
+app.get("/order_detail", require_login, function (request, response) {
+    let order = find_user_order(request, request.query.order_number);
+    if (typeof order == 'undefined') {
+        response.status(404).send(`You don't have an order ${escape_html(request.query.order_number)}`);
+        return;
+    }
+    response.send(generate_order_detail_page(order));
+});
+
+// puts the items of an old order back in the cart. Each item is checked the same way as /add_to_cart,
+// so items that are no longer sold or not available in that quantity are left out (and the shopper is told)
+app.post("/reorder", require_login, function (request, response) {
+    let order = find_user_order(request, request.body.order_number);
+    if (typeof order == 'undefined') {
+        response.status(404).send(`You don't have an order ${escape_html(request.body.order_number)}`);
+        return;
+    }
+    let messages = [];
+    for (let line of order.lines) {
+        let found = find_product(line.sku);
+        if (typeof found == 'undefined' || found.product.retired == true) {
+            messages.push(`${line.name} is no longer sold`);
+            continue;
+        }
+        let in_cart = (typeof request.session.cart[line.sku] != 'undefined') ? request.session.cart[line.sku] : 0;
+        let quantity_errors = check_cart_quantity(found.product, line.quantity, request.sessionID, in_cart);
+        if (Object.keys(quantity_errors).length > 0) {
+            messages.push(quantity_errors.invalid || quantity_errors.not_available);
+            continue;
+        }
+        request.session.cart[line.sku] = in_cart + line.quantity;
+    }
+    cart_changed(request);
+    let params = new URLSearchParams();
+    if (messages.length > 0) {
+        params.append('errorMessage', `Some items from order ${order.order_number} were not added:\n` + messages.join('\n'));
+    }
+    response.redirect(`./cart.html?${params.toString()}`);
+});
+
+// the customer cancels their order, which they can do until it ships
+app.post("/cancel_order", require_login, function (request, response) {
+    let order = find_user_order(request, request.body.order_number);
+    if (typeof order == 'undefined') {
+        response.status(404).send(`You don't have an order ${escape_html(request.body.order_number)}`);
+        return;
+    }
+    try {
+        cancel_order(order.order_number, request.session['username'], cancelled);
+    } catch (err) {
+        console.log(err);
+        cancelled({ status: 'Sorry, your order could not be cancelled. Please try again.' });
+    }
+
+    function cancelled(order_errors) {
+        if (Object.keys(order_errors).length > 0) {
+            response.send(generate_order_detail_page(order, order_errors));
+            return;
+        }
+        response.redirect(`./order_detail?order_number=${encodeURIComponent(order.order_number)}`);
+    }
+});
+
+// the customer asks to return items (return_<sku> quantities) of a delivered order. An admin approves it
+// on /admin/order once the items come back
+app.post("/request_return", require_login, function (request, response) {
+    let order = find_user_order(request, request.body.order_number);
+    if (typeof order == 'undefined') {
+        response.status(404).send(`You don't have an order ${escape_html(request.body.order_number)}`);
+        return;
+    }
+    let order_errors;
+    try {
+        order_errors = orders.request_return(order.order_number, form_quantities(request.body, 'return_'), request.body.reason, request.session['username']);
+    } catch (err) {
+        console.log(err);
+        order_errors = { quantity: 'Sorry, your return could not be saved. Please try again.' };
+    }
+    if (Object.keys(order_errors).length > 0) {
+        response.send(generate_order_detail_page(order, order_errors, request.body));
+        return;
+    }
+    let order_return = order.returns[order.returns.length - 1];
+    send_order_email(order, `Your return for order ${order.order_number}`, `We got your request to return ${describe_lines(order_return.lines)}. Please send the items back to us, your refund is sent once they arrive.`);
+    response.redirect(`./order_detail?order_number=${encodeURIComponent(order.order_number)}`);
+});
+
+// makes an account for the guest who just placed an order in this session, with the name and email from the order.
+// The order moves to the new account so it shows in My Orders
+app.post("/create_account_from_order", function (request, response) {
+    let order = orders.find(request.session.guest_order_number);
+    if (typeof order == 'undefined' || typeof order.username != 'undefined') {
+        response.redirect('./register');
+        return;
+    }
+    let username = String(request.body.username || '').toLowerCase();
+    let account_errors = validate_new_login(username, request.body.password, request.body.repeat_password);
+    if (Object.keys(account_errors).length > 0) {
+        response.send(`<link rel="stylesheet" href="invoice.css">` + generate_guest_account_form(order.order_number, account_errors, { username: username }));
+        return;
+    }
+    users_reg_data[username] = { password: request.body.password, email: order.guest.email, fullname: order.guest.fullname };
+    try {
+        save_users();
+        orders.claim(order.order_number, username);
+    } catch (err) {
+        console.log(err);
+        delete users_reg_data[username];
+        response.send(`<link rel="stylesheet" href="invoice.css">` + generate_guest_account_form(order.order_number, { no_username: 'Sorry, your account could not be saved. Please try again.' }, { username: username }));
+        return;
+    }
+    delete request.session.guest_order_number;
+    // logged in, the same as after /register
+    request.session['username'] = username;
+    request.session['email'] = order.guest.email;
+    request.session['fullname'] = order.guest.fullname;
+    var date = new Date();
+    date.setTime(date.getTime() + (30 * 60 * 1000)); // expires in 30 minutes
+    response.cookie('username', username, { expires: date });
+    cart_changed(request);
+    response.redirect('./my_orders');
+});
+
 // route all other GET requests to files in public 
 app.use(express.static(__dirname + '/public')); // essentially replaces http-server
 
@@ -460,62 +1437,1135 @@ app.use(express.static(__dirname + '/public')); // essentially replaces http-ser
 app.listen(8080, () => console.log(`listening on port 8080`)); // note the use of an anonymous function here to do a callback
 
 // functions
-function isNonNegInt(q, returnErrors = false) {
-    errors = []; // assume no errors at first
-    if (q == '') q = 0;
-    if (Number(q) != q) errors.push('Not a number!'); // Check if string is a number value
-    else {
-        if (q < 0) errors.push('Negative value!'); // Check if it is non-negative
-        if (parseInt(q) != q) errors.push('Not an integer!'); // Check that it is an integer
+// checks a quantity of product for this session's cart, used by /add_to_cart and the cart API.
+// already_in_cart is added on top of quantity (0 when quantity replaces the cart line).
+// Returns { invalid: message } if it isn't a whole number, { not_available: message } if there isn't enough
+// stock that other carts aren't holding, or {} if it's ok
+function check_cart_quantity(product, quantity, session_id, already_in_cart = 0) {
+    if (isNonNegInt(quantity) == false) {
+        return { invalid: `${quantity} is not a valid quantity for ${product.name}` };
     }
-    return returnErrors ? errors : (errors.length == 0);
+    if (Number(quantity) + already_in_cart > reservations.available_for(product, session_id)) {
+        return { not_available: `${quantity} items are not available for ${product.name}` };
+    }
+    return {};
 }
 
-function generate_login_page(params, form_data = {}) {
-    let str = `
-        <style>
-        @import url('https://fonts.googleapis.com/css2?family=Montserrat&display=swap');
-            body{
-                background-color: pink;
-                font-family: 'Montserrat', sans-serif;
-                text-align: center;
+// call after changing request.session.cart: makes the stock held for this session match the cart
+// (or gives it all back if the cart is empty) and saves the cart for the logged in user
+function cart_changed(request) {
+    if (Object.keys(request.session.cart).length == 0) {
+        reservations.release(request.sessionID);
+    } else {
+        reservations.hold_cart(request.sessionID, request.session.cart, find_product);
+    }
+    if (typeof request.session['username'] != 'undefined') {
+        saved_carts.save(request.session['username'], request.session.cart);
+    }
+    // the cart that was reviewed isn't this one anymore
+    checkout.reset(request.session);
+}
+
+// saves users_reg_data to user_data.json
+function save_users() {
+    json_store.write_json(filename, users_reg_data);
+}
+
+// checkout is for logged in users, and for guests too when store_config.json has "guest_checkout": true
+function allow_checkout(request, response, next) {
+    if (typeof request.session['username'] == 'undefined' && store_config.guest_checkout != true) {
+        redirect_to_login(request, response);
+        return;
+    }
+    next();
+}
+
+// who is checking out: { username, fullname, email } for a logged in user or { fullname, email } for a guest
+// who gave their details, undefined if neither
+function checkout_customer(request) {
+    let user = users_reg_data[request.session['username']];
+    if (typeof user != 'undefined') {
+        return { username: request.session['username'], fullname: user.fullname, email: user.email };
+    }
+    if (store_config.guest_checkout == true && typeof request.session.guest != 'undefined') {
+        return { fullname: request.session.guest.fullname, email: request.session.guest.email };
+    }
+    return undefined;
+}
+
+// { sku: quantity } from form fields named prefix + sku, like return_HK12-RED
+function form_quantities(body, prefix) {
+    let quantities = {};
+    for (let field in body) {
+        if (field.startsWith(prefix)) quantities[field.slice(prefix.length)] = body[field];
+    }
+    return quantities;
+}
+
+// cancels an order: its items go back in stock, a card that wasn't charged yet has its authorization let go,
+// and everything paid for it (but gift cards bought in it) is refunded to how it was paid.
+// Calls back with an errors object like orders.change_status()
+function cancel_order(order_number, username, callback) {
+    let order_errors = orders.change_status(order_number, 'cancelled', username);
+    if (Object.keys(order_errors).length > 0) {
+        callback(order_errors);
+        return;
+    }
+    let order = orders.find(order_number);
+    // the order is cancelled now, so if its items can't go back in stock that is reported with the other errors.
+    // Gift cards have no stock
+    let cancel_errors = {};
+    try {
+        inventory.return_lines(order.lines.filter(line => !line.gift_card), `order ${order_number} was cancelled`, username);
+    } catch (err) {
+        console.log(err);
+        cancel_errors['stock'] = `Order ${order_number} was cancelled, but its items could not be put back in stock`;
+    }
+    send_status_email(order);
+    if (typeof order.card_payment != 'undefined' && order.card_payment.status == 'authorized') {
+        payments.void_authorization(order.card_payment.transaction_id, function (error) {
+            try {
+                if (error) throw error;
+                orders.update_card_payment(order_number, { status: 'voided' });
+            } catch (err) {
+                // the authorization runs out by itself, the order is cancelled either way
+                console.log(`Could not void the card payment of order ${order_number}: ${err.message}`);
             }
-            h1{
-                margin-top: 30px;
+            refund_the_rest();
+        });
+    } else {
+        refund_the_rest();
+    }
+
+    function refund_the_rest() {
+        let refund = refunds.full(order);
+        if (refund.amount_cents <= 0) {
+            callback(cancel_errors);
+            return;
+        }
+        issue_refund(order, refund, 'original', 'order cancelled', username, function (error) {
+            if (error) {
+                console.log(error);
+                cancel_errors['refund'] = `Order ${order_number} was cancelled, but the refund could not be made: ${error.message}`;
             }
-            #errorMessage {
-                color: red;
+            callback(cancel_errors);
+        });
+    }
+}
+
+// pays back refund (from refunds.js) on order, to how it was paid (refund_to "original") or as store credit,
+// then saves it with the order and emails the customer. What goes back to the card is refunded through the
+// payment provider first, and if that fails nothing is paid back. Calls back with an Error if it failed
+function issue_refund(order, refund, refund_to, reason, username, callback) {
+    let user = users_reg_data[order.username];
+    refund.refund_to = (refund_to == 'store_credit' && typeof user != 'undefined') ? 'store_credit' : 'original';
+    refund.to = refunds.destinations(order, refund.amount_cents, refund.refund_to);
+    refund.time = new Date().toISOString();
+    refund.user = username;
+    refund.reason = reason;
+    delete refund.errors;
+    let card_cents = refund.to.filter(to => to.type == 'card').reduce((total, to) => total + to.amount_cents, 0);
+    if (card_cents > 0 && typeof order.card_payment != 'undefined') {
+        payments.refund(order.card_payment.transaction_id, card_cents, function (error) {
+            if (error) {
+                callback(error);
+                return;
             }
-        </style>
-        <body>
-        <a href='./index.html'>Home</a>&nbsp&nbsp&nbsp;
-        <a href='./products_display.html?products_key=20%20Inch%20Hello%20Kitty'>20 Inch Hello Kitty</a>&nbsp&nbsp&nbsp;
-        <a href='./products_display.html?products_key=12%20Inch%20Hello%20Kitty'>12 Inch Hello Kitty</a>&nbsp&nbsp&nbsp;
-        <a href='./products_display.html?products_key=12%20Inch%20My%20Melody'>12 Inch My Melody</a>&nbsp&nbsp&nbsp;
-        <a href='./products_display.html?products_key=12%20Inch%20Other%20Characters'>12 Inch Other Characters</a>&nbsp&nbsp&nbsp;
-        <h1> Hello Kitty Squishmallow Login</h1>
-        <form action="?${params.toString()}" method="POST" name="login_form">
-        <label style = "margin-right: 193px;" for="username"><strong>Username</strong></label> <br>
-        <input type="text" name="username" size="40" placeholder="enter username" 
-        value="${(typeof form_data['username'] != 'undefined') ? form_data['username'] : ''}"
-        ><br />
-        <p id = "errorMessage">
-        ${(typeof loginerrors['user_input_error'] != 'undefined') ? loginerrors['user_input_error'] : ''}
-        </p>
-        <br>
-        <label style = "margin-right: 200px;"for="password"><strong>Password</strong></label> <br>
-        <input type="password" name="password" size="40" placeholder="enter password"
-        value="${(typeof form_data['password'] != 'undefined') ? form_data['password'] : ''}"
-        ><br />
-        <p id = "errorMessage">
-        ${(typeof loginerrors['incorrect_password'] != 'undefined') ? loginerrors['incorrect_password'] : ''}
-        </p>
-        <br>
-        <input type="submit" value="Login" id="submit" style="margin:0px auto; background-color: palevioletred;font-family: 'Montserrat', sans-serif;">
-        </form>
-        <strong> Don't have an account? <a href="./register?${params.toString()}">Register</a> </strong>
-        </body>
-        `;
+            pay_back_the_rest();
+        });
+    } else {
+        pay_back_the_rest();
+    }
+
+    function pay_back_the_rest() {
+        try {
+            for (let to of refund.to) {
+                if (to.type == 'gift_card') {
+                    gift_cards.refund(to.code, to.amount_cents, `refund for order ${order.order_number}`);
+                } else if (to.type == 'store_credit') {
+                    user.store_credit_cents = (user.store_credit_cents || 0) + to.amount_cents;
+                    save_users();
+                }
+            }
+            orders.add_refund(order.order_number, refund);
+        } catch (err) {
+            callback(err);
+            return;
+        }
+        send_order_email(order, `Your refund for order ${order.order_number}`, `We refunded ${money.format(refund.amount_cents)}: ${describe_refund(refund)}.`);
+        callback(null);
+    }
+}
+
+// the orders being placed right now, by session id, while their card is being authorized
+var placing_orders = {};
+
+// authorizes amount_cents on card (from payments.card_from()) for an order. Calls back (declined_message, card_payment),
+// declined_message is undefined if it was approved. card_payment is what the order keeps about it
+// ({ provider, transaction_id, last4, authorized_cents, captured_cents, status }), undefined when nothing is due
+function authorize_card(amount_cents, card, callback) {
+    if (amount_cents <= 0) {
+        callback(undefined, undefined);
+        return;
+    }
+    payments.authorize(amount_cents, card, 'Hello Kitty Squishmallow order', function (error, result) {
+        if (error) {
+            console.log(error);
+            callback(`Sorry, your card could not be checked: ${error.message}`);
+            return;
+        }
+        if (!result.approved) {
+            callback(`${result.message}. Please try a different card.`);
+            return;
+        }
+        callback(undefined, {
+            provider: payments.provider(),
+            transaction_id: result.transaction_id,
+            last4: card.number.slice(-4),
+            authorized_cents: amount_cents,
+            captured_cents: 0,
+            status: 'authorized'
+        });
+    });
+}
+
+// checks that the gift cards and store credit in payments (from a quote for username) still have what the quote
+// takes off them. Returns an errors object, empty if they do
+function check_payments(order_payments, username) {
+    var errors = {};
+    for (let payment of order_payments) {
+        if (payment.type == 'gift_card' && !(gift_cards.balance(payment.code) >= payment.amount_cents)) {
+            errors[`gift_card_${payment.code}`] = `Gift card ${payment.code} doesn't have ${money.format(payment.amount_cents)} on it anymore, please check your cart`;
+        } else if (payment.type == 'store_credit' && !((users_reg_data[username] || {}).store_credit_cents >= payment.amount_cents)) {
+            errors['store_credit'] = `You don't have ${money.format(payment.amount_cents)} of store credit anymore, please check your cart`;
+        }
+    }
+    return errors;
+}
+
+// lets go of the card authorization of an order that wasn't placed
+function void_card(card_payment) {
+    if (typeof card_payment == 'undefined') return;
+    payments.void_authorization(card_payment.transaction_id, function (error) {
+        if (error) {
+            console.log(`Could not void ${card_payment.transaction_id}: ${error.message}`);
+        }
+    });
+}
+
+// charges the card of order what was authorized. Calls back with an Error if it couldn't
+function capture_card(order, callback) {
+    let card_payment = order.card_payment;
+    payments.capture(card_payment.transaction_id, card_payment.authorized_cents, function (error) {
+        if (error) {
+            callback(error);
+            return;
+        }
+        try {
+            orders.update_card_payment(order.order_number, { status: 'captured', captured_cents: card_payment.authorized_cents });
+        } catch (err) {
+            callback(err);
+            return;
+        }
+        callback(null);
+    });
+}
+
+// prices this session's cart with its coupon, shipping method and address (coupon_code is to try a different coupon),
+// paid for with its gift cards and, if the user asked, their store credit.
+// Tax exempt accounts (tax_exempt in user_data.json) pay no tax
+function quote_for(request, coupon_code = request.session.coupon_code) {
+    var user = users_reg_data[request.session['username']];
+    return pricing.quote(request.session.cart, find_product, {
+        gift_cards: (request.session.gift_card_codes || []).map(code => ({ code: code, balance_cents: gift_cards.balance(code) || 0 })),
+        store_credit_cents: (typeof user != 'undefined' && request.session.use_store_credit == true) ? (user.store_credit_cents || 0) : 0,
+        coupon_code: coupon_code,
+        username: request.session['username'],
+        shipping_method: request.session.shipping_method,
+        shipping_address: request.session.shipping_address,
+        tax_exempt: (typeof user != 'undefined' && user.tax_exempt == true)
+    });
+}
+
+// Referenced code from https://www.w3resource.com/javascript/form/email-validation.php
+// the /register rules for a new username and password, errors are keyed the way generate_register_page shows them
+function validate_new_login(username, password, repeat_password) {
+    var login_errors = {};
+    if (typeof users_reg_data[username] != 'undefined') { // if the username already exists
+        login_errors['username_taken'] = `Hey! ${username} is already registered!`;
+    }
+    if (password != repeat_password) { //password doesn't match
+        login_errors['password_mismatch'] = `Repeat password not the same as password!`;
+    }
+    if (username == '') { // no username input
+        login_errors['no_username'] = `You need to enter a username!`;
+    }
+    // Username - only numbers and characters are valid 
+    var letters = /^[0-9a-zA-Z]+$/;
+    if (!letters.test(username)) {
+        login_errors['validateUser'] = `Username must have alphabet and numerical characters only`;
+    }
+    // Username must be between 4-10 characters. Already set maxlength to 10, so just make sure it's at least 4 characters
+    if (username.length < 4) {
+        login_errors['validateUser'] = `Username must be at least 4 characters`;
+    }
+    // Password should have a minimum of 6 characters 
+    if (String(password || '').length < 6) {
+        login_errors['validatePassword'] = `Password must be at least 6 characters`;
+    }
+    return login_errors;
+}
+
+// the /register rules for a full name and email, used for registering and for guest checkout
+function validate_name_and_email(fullname, email) {
+    var name_errors = {};
+    fullname = String(fullname || '');
+    email = String(email || '');
+    if (fullname == '') { // no name input
+        name_errors['no_name'] = `You need to enter a name!`;
+    }
+    if (email == '') { // no email input
+        name_errors['no_email'] = `You need to enter an email!`;
+    }
+    // Referenced code from https://www.w3spoint.com/spaces-letters-alphabets-validation-javascript-js
+    // Full name - only letters
+    var alphabet = /^[a-zA-Z\s]*$/;
+    if (!alphabet.test(fullname)) {
+        name_errors['nameError'] = `Name must have alphabet characters only`;
+    }
+    // Email validation
+    if (!is_valid_email(email)) {
+        name_errors['emailError'] = 'Please enter a valid email address in the following format: user@host.com'
+    }
+    return name_errors;
+}
+
+function is_valid_email(email) {
+    var emailCharacters = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
+    return emailCharacters.test(email);
+}
+
+function isNonNegInt(q, returnErrors = false) {
+    errors = []; // assume no errors at first
+    if (q == '') q = 0;
+    if (Number(q) != q) errors.push('Not a number!'); // Check if string is a number value
+    else {
+        if (q < 0) errors.push('Negative value!'); // Check if it is non-negative
+        if (parseInt(q) != q) errors.push('Not an integer!'); // Check that it is an integer
+    }
+    return returnErrors ? errors : (errors.length == 0);
+}
+
+function generate_login_page(params, form_data = {}) {
+    let str = `
+        <style>
+        @import url('https://fonts.googleapis.com/css2?family=Montserrat&display=swap');
+            body{
+                background-color: pink;
+                font-family: 'Montserrat', sans-serif;
+                text-align: center;
+            }
+            h1{
+                margin-top: 30px;
+            }
+            #errorMessage {
+                color: red;
+            }
+        </style>
+        <body>
+        <a href='./index.html'>Home</a>&nbsp&nbsp&nbsp;
+        <a href='./products_display.html?products_key=20%20Inch%20Hello%20Kitty'>20 Inch Hello Kitty</a>&nbsp&nbsp&nbsp;
+        <a href='./products_display.html?products_key=12%20Inch%20Hello%20Kitty'>12 Inch Hello Kitty</a>&nbsp&nbsp&nbsp;
+        <a href='./products_display.html?products_key=12%20Inch%20My%20Melody'>12 Inch My Melody</a>&nbsp&nbsp&nbsp;
+        <a href='./products_display.html?products_key=12%20Inch%20Other%20Characters'>12 Inch Other Characters</a>&nbsp&nbsp&nbsp;
+        <h1> Hello Kitty Squishmallow Login</h1>
+        <form action="?${params.toString()}" method="POST" name="login_form">
+        <label style = "margin-right: 193px;" for="username"><strong>Username</strong></label> <br>
+        <input type="text" name="username" size="40" placeholder="enter username" 
+        value="${(typeof form_data['username'] != 'undefined') ? form_data['username'] : ''}"
+        ><br />
+        <p id = "errorMessage">
+        ${(typeof loginerrors['user_input_error'] != 'undefined') ? loginerrors['user_input_error'] : ''}
+        </p>
+        <br>
+        <label style = "margin-right: 200px;"for="password"><strong>Password</strong></label> <br>
+        <input type="password" name="password" size="40" placeholder="enter password"
+        value="${(typeof form_data['password'] != 'undefined') ? form_data['password'] : ''}"
+        ><br />
+        <p id = "errorMessage">
+        ${(typeof loginerrors['incorrect_password'] != 'undefined') ? loginerrors['incorrect_password'] : ''}
+        </p>
+        <br>
+        <input type="submit" value="Login" id="submit" style="margin:0px auto; background-color: palevioletred;font-family: 'Montserrat', sans-serif;">
+        </form>
+        <strong> Don't have an account? <a href="./register?${params.toString()}">Register</a> </strong>
+        </body>
+        `;
+    return str;
+}
+
+// the invoice table for a quote from pricing.js, used for the invoice page and email
+function generate_invoice_table(order_quote) {
+    let str = `
+    <table border="2">
+    <tbody>
+      <tr style="background-color: palevioletred">
+        <th style="text-align: center;" width="43%">Product Image</th>
+        <th style="text-align: center;" width="11%">Product Name</th>
+        <th style="text-align: center;" width="13%">Quantity</th>
+        <th style="text-align: center;" width="54%">Extended Price</th>
+      </tr>`;
+    // product rows
+    for (let line of order_quote.lines) {
+        str += `
+          <tr>
+            <td><img src="./images/${line.image}" width="100"></td>
+            <td width="43%">${line.name}${(typeof line.promotion != 'undefined') ? `<br><i>${escape_html(line.promotion.name)}: ${money.format(-line.promotion_discount_cents)}</i>` : ''}
+            <td align="center" width="11%">${line.quantity}</td>
+            <td width="54%">${money.format(line.extended_price_cents)}</td>
+          </tr>
+          `;
+    }
+    str += `<tr>
+        <td>&nbsp;</td>
+        <td colspan="2">Sub-total</td>
+        <td width="54%">
+          ${money.format(order_quote.subtotal_cents)}
+        </td>
+      </tr>
+      ${generate_discount_rows(order_quote)}
+      <tr>
+        <td>&nbsp;</td>
+        <td colspan="2"> Shipping (${escape_html(order_quote.shipping_method.name)}) </td>       
+        <td width="54%">${money.format(order_quote.shipping_cents)}</td>
+      </tr>
+      ${generate_tax_rows(order_quote)}
+      <tr>
+        <td>&nbsp;</td>
+        <td colspan="2"><strong><span style= "color:green; font-size:20px" >Total</span></strong></td>        
+        <td width="65%"><strong><span style="color:green; font-size:20px">${money.format(order_quote.total_cents)}</span></strong></td>
+      </tr>
+      ${generate_payment_rows(order_quote)}</tbody></table>`;
+    if (order_quote.pickup) {
+        str += `<p>Pick up at our store</p>`;
+    } else if (typeof order_quote.shipping_address != 'undefined') {
+        str += `<p>Ships to:<br>${generate_address(order_quote.shipping_address)}</p>`;
+    }
+    if (typeof order_quote.billing_address != 'undefined') {
+        str += `<p>Bill to:<br>${generate_address(order_quote.billing_address)}</p>`;
+    }
+    return str;
+}
+
+// an address as lines of html
+function generate_address(address) {
+    return `${escape_html(address.name)}<br>${escape_html(address.street)}<br>
+        ${escape_html(address.city)}, ${escape_html(address.state)} ${escape_html(address.zip)}`;
+}
+
+// a checkout step page, with links back to the steps already done. step_errors are keyed by form field and
+// form_data is the form that had them, so it is shown again as it was entered. Otherwise the form is
+// filled in from the session
+function generate_checkout_page(request, step_id, step_errors = {}, form_data = undefined) {
+    let order_quote = quote_for(request);
+    order_quote.billing_address = request.session.billing_address;
+    let user = users_reg_data[request.session['username']];
+    let customer = checkout_customer(request);
+    // shows the error for a field (if any)
+    function field_error(field) {
+        return (typeof step_errors[field] != 'undefined') ? `<span id="errorMessage">${escape_html(step_errors[field])}</span><br>` : '';
+    }
+    // address fields, filled in with the form that had errors or with address
+    function address_fields(address = {}) {
+        let values = (typeof form_data != 'undefined') ? form_data : address;
+        let str = '';
+        for (let [field, label] of [['name', 'Name'], ['street', 'Street'], ['city', 'City'], ['state', 'State (like HI)'], ['county', 'County (Hawaii orders)'], ['zip', 'ZIP code']]) {
+            str += `
+      <label for="${field}">${label}</label><br>
+      <input type="text" name="${field}" id="${field}" size="40" value="${escape_html(values[field] || '')}"><br>
+      ${field_error(field)}`;
+        }
+        return str;
+    }
+    let button_style = `style="margin:0px auto; background-color: palevioletred; border-radius: 8px; font-family: 'Montserrat', sans-serif"`;
+    // the invoice table's images are relative to the site, not to /checkout/
+    let str = `
+    <base href="/">
+    <link rel="stylesheet" href="/invoice.css">
+    <style>
+    @import url('https://fonts.googleapis.com/css2?family=Montserrat&display=swap');
+    body{
+        text-align: center;
+        background-color: pink;
+        font-family: 'Montserrat', sans-serif;
+    }
+    #errorMessage {
+        color: red;
+    }
+    </style>
+    <body>
+    <a href='/index.html'>Home</a>&nbsp&nbsp&nbsp;<a href='/cart.html'>View Cart</a>
+    <h1>Checkout</h1>
+    <p>`;
+    // the steps, with links to the ones that can be gone back to
+    str += checkout.steps_for(request.session).map(function (checkout_step) {
+        if (checkout_step.id == step_id) return `<strong>${checkout_step.name}</strong>`;
+        if (checkout.can_show(request.session, checkout_step.id)) return `<a href="/checkout/${checkout_step.id}">${checkout_step.name}</a>`;
+        return checkout_step.name;
+    }).join(' &gt; ');
+    str += `</p>`;
+    // errors that aren't about one field
+    for (let field of ['cart_empty', 'coupon']) {
+        str += field_error(field);
+    }
+    if (step_id != 'confirm') {
+        str += `
+    <form action="/checkout/${step_id}" method="POST">`;
+    }
+    if (step_id == 'contact') {
+        let guest = form_data || request.session.guest || {};
+        str += `
+    <h2>Check out as a guest</h2>
+    <p>Have an account? <a href="/login?return_to=%2Fcheckout">Log in</a> to use your saved cart and store credit.</p>
+    <label for="fullname">Full Name</label><br>
+    <input type="text" name="fullname" id="fullname" size="40" maxlength="30" value="${escape_html(guest.fullname || '')}"><br>
+    ${field_error('no_name')}${field_error('nameError')}
+    <label for="email">Email (your invoice is sent here)</label><br>
+    <input type="email" name="email" id="email" size="40" value="${escape_html(guest.email || '')}"><br>
+    ${field_error('no_email')}${field_error('emailError')}
+    <br>
+    <input type="submit" value="Continue" ${button_style}>`;
+    } else if (step_id == 'review') {
+        str += `
+    ${generate_invoice_table(order_quote)}
+    <p><a href="/cart.html">Change my cart</a></p>
+    <input type="submit" value="Continue" ${button_style}>`;
+    } else if (step_id == 'shipping_address') {
+        let address = request.session.shipping_address || { name: (typeof customer != 'undefined') ? customer.fullname : '' };
+        str += `
+    <h2>Where should we ship your order?</h2>
+    ${address_fields(address)}
+    <br>
+    <input type="submit" value="Continue" ${button_style}>
+    <input type="submit" name="pickup" value="I'll pick it up at the store" ${button_style}>`;
+    } else if (step_id == 'shipping_method') {
+        let picked = (typeof form_data != 'undefined') ? form_data.shipping_method : order_quote.shipping_method.id;
+        let merchandise_cents = order_quote.lines.filter(line => !line.gift_card).reduce((total, line) => total + line.extended_price_cents, 0) - order_quote.discount_cents;
+        str += `
+    <h2>How should we ship it?</h2>
+    ${field_error('shipping_method')}`;
+        for (let shipping_method of shipping.methods()) {
+            let cost_cents = shipping.cost_for(shipping.method(shipping_method.id), merchandise_cents, order_quote.weight);
+            str += `
+      <input type="radio" name="shipping_method" id="shipping_method_${shipping_method.id}" value="${shipping_method.id}" ${(shipping_method.id == picked) ? 'checked' : ''}>
+      <label for="shipping_method_${shipping_method.id}">${escape_html(shipping_method.name)} (${escape_html(shipping_method.description)}): ${money.format(cost_cents)}</label><br>`;
+        }
+        str += `
+    <br>
+    <input type="submit" value="Continue" ${button_style}>`;
+    } else if (step_id == 'payment') {
+        let same_as_shipping = (typeof form_data != 'undefined') ? (form_data.same_as_shipping == 'on') : (typeof request.session.billing_address == 'undefined' || JSON.stringify(request.session.billing_address) == JSON.stringify(request.session.shipping_address));
+        let use_store_credit = (typeof form_data != 'undefined') ? (form_data.use_store_credit == 'on') : (request.session.use_store_credit == true);
+        str += `
+    <h2>Payment</h2>
+    <p>Order total ${money.format(order_quote.total_cents)}${(order_quote.covered_cents > 0) ? `, ${money.format(order_quote.covered_cents)} paid by gift cards and store credit` : ''}</p>`;
+        if (typeof user != 'undefined' && (user.store_credit_cents || 0) > 0) {
+            str += `
+    <input type="checkbox" name="use_store_credit" id="use_store_credit" ${(use_store_credit) ? 'checked' : ''}>
+    <label for="use_store_credit">Use my store credit (${money.format(user.store_credit_cents)})</label><br>`;
+        }
+        str += `
+    <h3>Billing address</h3>`;
+        if (typeof request.session.shipping_address != 'undefined' && !order_quote.pickup) {
+            str += `
+    <input type="checkbox" name="same_as_shipping" id="same_as_shipping" ${(same_as_shipping) ? 'checked' : ''}>
+    <label for="same_as_shipping">Same as my shipping address</label><br><br>`;
+        }
+        str += `
+    ${address_fields((same_as_shipping) ? {} : request.session.billing_address)}
+    <br>
+    <input type="submit" value="Continue" ${button_style}>`;
+    } else if (step_id == 'confirm') {
+        str += `
+    ${generate_invoice_table(order_quote)}
+    <form action="/confirm_purchase" method="POST">`;
+        // the card number and security code are never filled back in
+        if (order_quote.amount_due_cents > 0) {
+            let card_values = form_data || {};
+            str += `
+    <h3>Pay ${money.format(order_quote.amount_due_cents)} by card</h3>
+    <label for="card_name">Name on card</label><br>
+    <input type="text" name="card_name" id="card_name" size="40" value="${escape_html(card_values.card_name || (request.session.billing_address || {}).name || '')}"><br>
+    ${field_error('card_name')}
+    <label for="card_number">Card number</label><br>
+    <input type="text" name="card_number" id="card_number" size="40" autocomplete="cc-number"><br>
+    ${field_error('card_number')}
+    <label for="card_expiry">Expiration date (MM/YY)</label><br>
+    <input type="text" name="card_expiry" id="card_expiry" size="6" value="${escape_html(card_values.card_expiry || '')}"><br>
+    ${field_error('card_expiry')}
+    <label for="card_cvc">Security code</label><br>
+    <input type="text" name="card_cvc" id="card_cvc" size="4" autocomplete="off"><br>
+    ${field_error('card_cvc')}
+    <br>`;
+        }
+        str += `
+    <input type="submit" value="Place Order" name="confirm_purchase" ${button_style}>`;
+    }
+    str += `
+    </form>
+    </body>
+    `;
+    return str;
+}
+
+// rows for what gift cards and store credit paid and what is still due, empty if they weren't used.
+// Orders paid by card say which card
+function generate_payment_rows(order_quote) {
+    if (typeof order_quote.card_payment != 'undefined' && order_quote.payments.length == 0) {
+        return `<tr>
+        <td>&nbsp;</td>
+        <td colspan="2">Paid by card ending ${escape_html(order_quote.card_payment.last4)}</td>
+        <td width="54%">${money.format(order_quote.amount_due_cents)}</td>
+      </tr>`;
+    }
+    if (order_quote.payments.length == 0) return '';
+    let str = '';
+    for (let payment of order_quote.payments) {
+        str += `<tr>
+        <td>&nbsp;</td>
+        <td colspan="2">${(payment.type == 'gift_card') ? `Gift card ending ${escape_html(payment.code.slice(-4))}` : 'Store credit'}</td>
+        <td width="54%">${money.format(-payment.amount_cents)}</td>
+      </tr>`;
+    }
+    str += `<tr>
+        <td>&nbsp;</td>
+        <td colspan="2">Covered by gift cards and store credit</td>
+        <td width="54%">${money.format(order_quote.covered_cents)}</td>
+      </tr>
+      <tr>
+        <td>&nbsp;</td>
+        <td colspan="2"><strong>${(typeof order_quote.card_payment != 'undefined') ? `Paid by card ending ${escape_html(order_quote.card_payment.last4)}` : 'Amount due'}</strong></td>
+        <td width="54%"><strong>${money.format(order_quote.amount_due_cents)}</strong></td>
+      </tr>`;
+    return str;
+}
+
+// the codes of the gift cards bought in an order, empty if there weren't any
+function generate_issued_gift_cards(issued_gift_cards) {
+    if (issued_gift_cards.length == 0) return '';
+    let str = `<h3>Your gift cards</h3>`;
+    for (let issued of issued_gift_cards) {
+        str += `${money.format(issued.amount_cents)} gift card: <b>${issued.code}</b><br>`;
+    }
+    return str;
+}
+
+// a row for each promotion and the coupon, empty if there aren't any
+function generate_discount_rows(order_quote) {
+    let str = '';
+    for (let promotion of order_quote.promotions) {
+        str += `<tr>
+        <td>&nbsp;</td>
+        <td colspan="2">${escape_html(promotion.name)}</td>
+        <td width="54%">${money.format(-promotion.discount_cents)}</td>
+      </tr>`;
+    }
+    if (typeof order_quote.coupon != 'undefined') {
+        str += `<tr>
+        <td>&nbsp;</td>
+        <td colspan="2">Coupon ${escape_html(order_quote.coupon.code)} (${escape_html(order_quote.coupon.description)})</td>
+        <td width="54%">${money.format(-order_quote.coupon.discount_cents)}</td>
+      </tr>`;
+    }
+    return str;
+}
+
+// one invoice row for each tax that applies to the order (state, county, ...)
+function generate_tax_rows(order_quote) {
+    if (order_quote.needs_address) {
+        return `<tr><td>&nbsp;</td><td colspan="2">Tax</td><td width="54%">Enter a shipping address</td></tr>`;
+    }
+    if (order_quote.tax_exempt) {
+        return `<tr><td>&nbsp;</td><td colspan="2">Tax exempt account</td><td width="54%">${money.format(0)}</td></tr>`;
+    }
+    if (order_quote.tax_lines.length == 0) {
+        // nothing taxable (like just gift cards), or no tax where it ships
+        let where = (typeof order_quote.shipping_address != 'undefined') ? ` to ${escape_html(order_quote.shipping_address.state)}` : '';
+        return `<tr><td>&nbsp;</td><td colspan="2">No sales tax${where}</td><td width="54%">${money.format(0)}</td></tr>`;
+    }
+    let str = '';
+    for (let tax_line of order_quote.tax_lines) {
+        str += `<tr>
+        <td>&nbsp;</td>
+        <td colspan="2">${escape_html(tax_line.name)} @ ${Number((100 * tax_line.rate).toFixed(4))}% of ${money.format(tax_line.taxable_cents)}</td>
+        <td width="54%">${money.format(tax_line.tax_cents)}</td>
+      </tr>`;
+    }
+    return str;
+}
+
+// escapes text so it can be put inside html and attribute values
+function escape_html(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// admin_errors are keyed by form field, form_data is the rejected form and form_name says which form it was
+// (add_category, add_product or edit_product) so only that form is sticky and shows the errors
+function generate_admin_page(admin_errors = {}, form_data = {}, form_name = '') {
+    // shows the error for a field of a form (if any)
+    function field_error(form, field) {
+        return (form == form_name && typeof admin_errors[field] != 'undefined') ? `<span id="errorMessage">${escape_html(admin_errors[field])}</span>` : '';
+    }
+    // the rejected form's value for a field, so the admin doesn't have to type it again
+    function sticky(form, field) {
+        return (form == form_name && typeof form_data[field] != 'undefined') ? escape_html(form_data[field]) : '';
+    }
+    let category_options = '';
+    for (let type in products_data) {
+        category_options += `<option ${(form_name == 'add_product' && form_data.category == type) ? 'selected' : ''}>${escape_html(type)}</option>`;
+    }
+    let str = `
+    <style>
+    @import url('https://fonts.googleapis.com/css2?family=Montserrat&display=swap');
+    body{
+        background-color: pink;
+        font-family: 'Montserrat', sans-serif;
+        text-align: center;
+    }
+    table{
+        margin: 0px auto;
+    }
+    .retired{
+        color: gray;
+    }
+    #errorMessage {
+        color: red;
+    }
+    </style>
+    <body>
+    <a href='./index.html'>Home</a>&nbsp&nbsp&nbsp;
+    <a href='/admin/orders'>Orders</a>
+    <h1>Hello Kitty Squishmallow Catalog Admin</h1>
+    <h2>Add a category</h2>
+    <form action="/admin/add_category" method="POST">
+    <input type="text" name="category" size="30" placeholder="category name" value="${sticky('add_category', 'category')}">
+    <input type="submit" value="Add Category" style="background-color: palevioletred; border-radius: 8px;">
+    ${field_error('add_category', 'category')}
+    </form>
+    <h2>Add a product</h2>
+    <form action="/admin/add_product" method="POST">
+    <select name="category">${category_options}</select>
+    <input type="text" name="sku" size="15" placeholder="SKU" value="${sticky('add_product', 'sku')}">
+    <input type="text" name="name" size="25" placeholder="name" value="${sticky('add_product', 'name')}">
+    <input type="text" name="price" size="6" placeholder="price" value="${sticky('add_product', 'price')}">
+    <input type="text" name="weight" size="4" placeholder="pounds" value="${sticky('add_product', 'weight')}">
+    <input type="text" name="image" size="15" placeholder="image file" value="${sticky('add_product', 'image')}">
+    <input type="text" name="quantity_available" size="4" placeholder="qty" value="${sticky('add_product', 'quantity_available')}">
+    <input type="submit" value="Add Product" style="background-color: palevioletred; border-radius: 8px;">
+    <br>${field_error('add_product', 'category')} ${field_error('add_product', 'sku')} ${field_error('add_product', 'name')} ${field_error('add_product', 'price')} ${field_error('add_product', 'weight')} ${field_error('add_product', 'image')} ${field_error('add_product', 'quantity_available')}
+    </form>`;
+    for (let type in products_data) {
+        str += `
+    <h2>${escape_html(type)}</h2>
+    <table border="2">
+      <tr style="background-color: palevioletred">
+        <th>SKU</th><th>Name</th><th>Price</th><th>Weight (lb)</th><th>Image</th><th>Quantity Available</th><th></th><th></th><th>Restock / Adjust</th>
+      </tr>`;
+        for (let product of products_data[type]) {
+            // if this product's edit was rejected, show what was typed instead of what's saved
+            let editing = (form_name == 'edit_product' && form_data.sku == product.sku);
+            let changing_stock = (form_name == 'stock_change' && form_data.sku == product.sku);
+            let value = (field) => escape_html((editing && typeof form_data[field] != 'undefined') ? form_data[field] : product[field]);
+            str += `
+      <tr class="${(product.retired == true) ? 'retired' : ''}">
+        <td>${escape_html(product.sku)}</td>
+        <td><input type="text" form="edit_${escape_html(product.sku)}" name="name" size="25" value="${value('name')}"></td>
+        <td><input type="text" form="edit_${escape_html(product.sku)}" name="price" size="6" value="${value('price')}"></td>
+        <td><input type="text" form="edit_${escape_html(product.sku)}" name="weight" size="4" value="${value('weight')}"></td>
+        <td><input type="text" form="edit_${escape_html(product.sku)}" name="image" size="15" value="${value('image')}"></td>
+        <td><input type="text" form="edit_${escape_html(product.sku)}" name="quantity_available" size="4" value="${value('quantity_available')}"></td>
+        <td>
+        <form id="edit_${escape_html(product.sku)}" action="/admin/edit_product" method="POST">
+        <input type="hidden" name="sku" value="${escape_html(product.sku)}">
+        <input type="submit" value="Save">
+        </form>
+        </td>
+        <td>
+        <form action="/admin/retire_product" method="POST">
+        <input type="hidden" name="sku" value="${escape_html(product.sku)}">
+        <input type="hidden" name="retired" value="${(product.retired == true) ? 'false' : 'true'}">
+        <input type="submit" value="${(product.retired == true) ? 'Bring Back' : 'Retire'}">
+        </form>
+        </td>
+        <td>
+        <form action="/admin/restock" method="POST">
+        <input type="hidden" name="sku" value="${escape_html(product.sku)}">
+        <input type="text" name="change" size="4" placeholder="+/- qty" value="${(changing_stock) ? sticky('stock_change', 'change') : ''}">
+        <input type="text" name="reason" size="15" placeholder="reason" value="${(changing_stock) ? sticky('stock_change', 'reason') : ''}">
+        <input type="submit" value="Restock">
+        <input type="submit" value="Adjust" formaction="/admin/adjust">
+        <a href="/admin/stock_history?sku=${encodeURIComponent(product.sku)}">History</a>
+        </form>
+        </td>
+      </tr>`;
+            if (editing && Object.keys(admin_errors).length > 0) {
+                str += `
+      <tr><td colspan="9">${field_error('edit_product', 'name')} ${field_error('edit_product', 'price')} ${field_error('edit_product', 'weight')} ${field_error('edit_product', 'image')} ${field_error('edit_product', 'quantity_available')}</td></tr>`;
+            }
+            if (changing_stock) {
+                str += `
+      <tr><td colspan="9">${field_error('stock_change', 'change')} ${field_error('stock_change', 'reason')}</td></tr>`;
+            }
+        }
+        str += `
+    </table>`;
+    }
+    str += `
+    </body>
+    `;
+    return str;
+}
+
+// the list of a user's orders, each links to its detail page
+function generate_my_orders_page(user_orders) {
+    let str = `
+    <style>
+    @import url('https://fonts.googleapis.com/css2?family=Montserrat&display=swap');
+    body{
+        background-color: pink;
+        font-family: 'Montserrat', sans-serif;
+        text-align: center;
+    }
+    table{
+        margin: 0px auto;
+    }
+    </style>
+    <body>
+    <a href='./index.html'>Home</a>&nbsp&nbsp&nbsp;<a href='./cart.html'>View Cart</a>
+    <h1>My Orders</h1>`;
+    if (user_orders.length == 0) {
+        str += `
+    <h2>You haven't placed any orders yet</h2>
+    </body>`;
+        return str;
+    }
+    str += `
+    <table border="2">
+      <tr style="background-color: palevioletred">
+        <th>Order Number</th><th>Date</th><th>Items</th><th>Total</th><th>Status</th>
+      </tr>`;
+    for (let order of user_orders) {
+        str += `
+      <tr>
+        <td><a href="./order_detail?order_number=${encodeURIComponent(order.order_number)}">${escape_html(order.order_number)}</a></td>
+        <td>${new Date(order.time).toLocaleString()}</td>
+        <td align="right">${order.lines.reduce((total, line) => total + line.quantity, 0)}</td>
+        <td align="right">${money.format(order.total_cents)}</td>
+        <td>${escape_html(order.status)}</td>
+      </tr>`;
+    }
+    str += `
+    </table>
+    </body>
+    `;
+    return str;
+}
+
+// what the status email says for each status
+var status_messages = {
+    paid: 'We got your payment, thank you!',
+    packed: 'Your order is packed and ready to go.',
+    shipped: 'Your order is on its way!',
+    delivered: 'Your order was delivered. We hope you love your squishmallows!',
+    cancelled: 'Your order was cancelled.'
+};
+
+// emails the customer that their order has a new status
+function send_status_email(order) {
+    let message = status_messages[order.status];
+    if (order.status == 'shipped' && order.pickup) {
+        message = 'Your order is ready to pick up at our store!';
+    }
+    send_order_email(order, `Your order ${order.order_number} is ${order.status}`, message);
+}
+
+// emails the customer about their order, message is text (it is escaped)
+function send_order_email(order, subject, message) {
+    let user = users_reg_data[order.username] || order.guest;
+    if (typeof user == 'undefined') return;
+    let mailOptions = {
+        from: 'phoney_store@bogus.com',
+        to: user.email,
+        subject: subject,
+        html: `
+        <link rel="stylesheet" href="invoice.css">
+        Hi ${escape_html(user.fullname)},<br>
+        ${escape_html(message)}<br>
+        Order number ${escape_html(order.order_number)}, placed ${new Date(order.time).toLocaleString()}, total ${money.format(order.total_cents)}`
+    };
+    transporter.sendMail(mailOptions, function (error, info) {
+        if (error) {
+            console.log(`Could not send "${subject}": ${error.message}`);
+        }
+    });
+}
+
+// "2 x Hello Kitty 12 inch, 1 x ..." for return or refund lines
+function describe_lines(lines) {
+    return lines.map(line => `${line.quantity} x ${line.name}`).join(', ');
+}
+
+// where a refund went, like "$10.00 to your card, $5.00 to gift card ending 7K2P"
+function describe_refund(refund) {
+    return refund.to.map(function (to) {
+        if (to.type == 'gift_card') return `${money.format(to.amount_cents)} to gift card ending ${to.code.slice(-4)}`;
+        if (to.type == 'store_credit') return `${money.format(to.amount_cents)} as store credit`;
+        return `${money.format(to.amount_cents)} to your card`;
+    }).join(', ');
+}
+
+// the admin list of every order. Each order has a button for each status it can move to next
+function generate_admin_orders_page(admin_errors = {}, form_data = {}) {
+    let str = `
+    <style>
+    @import url('https://fonts.googleapis.com/css2?family=Montserrat&display=swap');
+    body{
+        background-color: pink;
+        font-family: 'Montserrat', sans-serif;
+        text-align: center;
+    }
+    table{
+        margin: 0px auto;
+    }
+    #errorMessage {
+        color: red;
+    }
+    </style>
+    <body>
+    <a href='/admin'>Back to Catalog Admin</a>
+    <h1>Orders</h1>`;
+    for (let field in admin_errors) {
+        str += `
+    <p id="errorMessage">${escape_html(admin_errors[field])}</p>`;
+    }
+    str += `
+    <table border="2">
+      <tr style="background-color: palevioletred">
+        <th>Order Number</th><th>Date</th><th>Customer</th><th>Total</th><th>Status</th><th>Last Change</th><th>Change Status</th>
+      </tr>`;
+    for (let order of orders.all()) {
+        let last_change = order.status_history[order.status_history.length - 1];
+        let buttons = orders.next_statuses[order.status].map(status => `<input type="submit" name="status" value="${status}">`).join(' ');
+        str += `
+      <tr${(form_data.order_number == order.order_number) ? ' style="background-color: lightpink"' : ''}>
+        <td><a href="/admin/order?order_number=${encodeURIComponent(order.order_number)}">${escape_html(order.order_number)}</a></td>
+        <td>${new Date(order.time).toLocaleString()}</td>
+        <td>${escape_html(order.username || `guest ${order.guest.email}`)}</td>
+        <td align="right">${money.format(order.total_cents)}</td>
+        <td>${escape_html(order.status)}${((order.returns || []).some(order_return => order_return.status == 'requested')) ? '<br><b>return requested</b>' : ''}</td>
+        <td>${new Date(last_change.time).toLocaleString()} by ${escape_html(last_change.user)}</td>
+        <td>
+        <form action="/admin/order_status" method="POST">
+        <input type="hidden" name="order_number" value="${escape_html(order.order_number)}">
+        ${buttons}
+        </form>
+        </td>
+      </tr>`;
+    }
+    str += `
+    </table>
+    </body>
+    `;
+    return str;
+}
+
+// offered after a guest's order: a username and password is all it takes to make an account from it.
+// account_errors are keyed like generate_register_page's
+function generate_guest_account_form(order_number, account_errors = {}, form_data = {}) {
+    let field_errors = fields => fields.filter(field => typeof account_errors[field] != 'undefined').map(field => `<span style="color: red">${escape_html(account_errors[field])}</span><br>`).join('');
+    return `
+    <h3>Create an account from order ${escape_html(order_number)}</h3>
+    <p>Keep track of this order in My Orders and check out faster next time.</p>
+    <form action="./create_account_from_order" method="POST">
+      <label for="username">Username (between 4-10 characters)</label><br>
+      <input type="text" name="username" id="username" size="40" maxlength="10" value="${escape_html(form_data.username || '')}"><br>
+      ${field_errors(['no_username', 'username_taken', 'validateUser'])}
+      <label for="password">Password (at least 6 characters)</label><br>
+      <input type="password" name="password" id="password" size="40"><br>
+      <input type="password" name="repeat_password" size="40" placeholder="enter password again"><br>
+      ${field_errors(['password_mismatch', 'validatePassword'])}
+      <input type="submit" value="Create Account"
+        style="margin:0px auto; display:block; background-color: palevioletred; border-radius: 8px; font-family: 'Montserrat', sans-serif">
+    </form>`;
+}
+
+// one order with its invoice as it was sold, and a button to buy the same items again.
+// Until it ships it can be cancelled, and once it is delivered items can be returned
+function generate_order_detail_page(order, order_errors = {}, form_data = {}) {
+    let button_style = `style="margin:0px auto; display:block; background-color: palevioletred; border-radius: 8px; font-family: 'Montserrat', sans-serif"`;
+    let str = `
+    <link rel="stylesheet" href="invoice.css">
+    <a href='./index.html'>Home</a>&nbsp&nbsp&nbsp;<a href='./my_orders'>My Orders</a>
+    <h2>Order number ${escape_html(order.order_number)}</h2>
+    <p>Placed ${new Date(order.time).toLocaleString()}<br>Status: ${escape_html(order.status)}</p>
+    <p>${order.status_history.map(change => `${escape_html(change.status)}: ${new Date(change.time).toLocaleString()}`).join('<br>')}</p>`;
+    for (let field in order_errors) {
+        str += `
+    <p style="color: red">${escape_html(order_errors[field])}</p>`;
+    }
+    str += `
+    ${generate_invoice_table(order)}
+    ${generate_returns_and_refunds(order)}
+    <form action="./reorder" method="POST">
+      <input type="hidden" name="order_number" value="${escape_html(order.order_number)}">
+      <input type="submit" value="Order These Again" ${button_style}>
+    </form>`;
+    if (orders.next_statuses[order.status].indexOf('cancelled') != -1) {
+        str += `
+    <br>
+    <form action="./cancel_order" method="POST" onsubmit="return confirm('Cancel order ${escape_html(order.order_number)}?')">
+      <input type="hidden" name="order_number" value="${escape_html(order.order_number)}">
+      <input type="submit" value="Cancel Order" ${button_style}>
+    </form>`;
+    }
+    let returnable_lines = order.lines.filter(line => !line.gift_card && line.quantity > orders.returned_quantity(order, line.sku));
+    if (order.status == 'delivered' && returnable_lines.length > 0) {
+        str += `
+    <h3>Return items</h3>
+    <form action="./request_return" method="POST">
+      <input type="hidden" name="order_number" value="${escape_html(order.order_number)}">`;
+        for (let line of returnable_lines) {
+            let returnable = line.quantity - orders.returned_quantity(order, line.sku);
+            str += `
+      ${escape_html(line.name)}: <input type="number" name="return_${escape_html(line.sku)}" min="0" max="${returnable}" value="${escape_html(form_data[`return_${line.sku}`] || '0')}"> of ${returnable}<br>`;
+        }
+        str += `
+      Why are you returning them? <input type="text" name="reason" value="${escape_html(form_data.reason || '')}"><br><br>
+      <input type="submit" value="Request Return" ${button_style}>
+    </form>`;
+    }
+    return str;
+}
+
+// the returns asked for on order and the refunds given, empty if there are none
+function generate_returns_and_refunds(order) {
+    let str = '';
+    for (let order_return of order.returns || []) {
+        str += `
+    <p>Return ${order_return.return_number} (${new Date(order_return.time).toLocaleString()}): ${escape_html(describe_lines(order_return.lines))}, ${escape_html(order_return.status)}</p>`;
+    }
+    for (let refund of order.refunds || []) {
+        str += `
+    <p>Refund of ${money.format(refund.amount_cents)} (${new Date(refund.time).toLocaleString()}): ${escape_html(describe_refund(refund))}</p>`;
+    }
+    return str;
+}
+
+// an order for the admin, with forms to approve or reject its returns and to refund it
+function generate_admin_order_page(order, admin_errors = {}, form_data = {}) {
+    let refund_to_select = `
+        <select name="refund_to">
+          <option value="original"${(form_data.refund_to != 'store_credit') ? ' selected' : ''}>Back to how it was paid</option>
+          <option value="store_credit"${(form_data.refund_to == 'store_credit') ? ' selected' : ''}>Store credit</option>
+        </select>`;
+    let str = `
+    <link rel="stylesheet" href="invoice.css">
+    <style>
+    #errorMessage {
+        color: red;
+    }
+    </style>
+    <a href='/admin/orders'>Back to Orders</a>
+    <h2>Order number ${escape_html(order.order_number)}</h2>
+    <p>Customer: ${escape_html(order.username || `guest ${order.guest.fullname} (${order.guest.email})`)}<br>Status: ${escape_html(order.status)}</p>`;
+    for (let field in admin_errors) {
+        str += `
+    <p id="errorMessage">${escape_html(admin_errors[field])}</p>`;
+    }
+    str += `
+    ${generate_invoice_table(order)}
+    ${generate_returns_and_refunds(order)}`;
+    for (let order_return of (order.returns || []).filter(order_return => order_return.status == 'requested')) {
+        let sticky_refund = (sku, returned) => (form_data.return_number == order_return.return_number && typeof form_data[`refund_${sku}`] != 'undefined') ? form_data[`refund_${sku}`] : returned;
+        str += `
+    <h3>Return ${order_return.return_number}</h3>
+    <p>Reason: ${escape_html(order_return.reason || 'none given')}</p>
+    <form action="/admin/return" method="POST">
+      <input type="hidden" name="order_number" value="${escape_html(order.order_number)}">
+      <input type="hidden" name="return_number" value="${order_return.return_number}">`;
+        for (let line of order_return.lines) {
+            str += `
+      ${escape_html(line.name)}: ${line.quantity} came back, refund <input type="number" name="refund_${escape_html(line.sku)}" min="0" max="${line.quantity}" value="${escape_html(sticky_refund(line.sku, line.quantity))}"><br>`;
+        }
+        str += `
+      Refund to ${refund_to_select}<br>
+      <input type="submit" name="decision" value="approved"> <input type="submit" name="decision" value="rejected">
+    </form>`;
+    }
+    let refundable_lines = order.lines.filter(line => refunds.refundable_quantity(order, line) > 0);
+    if (refunds.refundable_cents(order) > 0) {
+        str += `
+    <h3>Refund</h3>
+    <p>${money.format(refunds.refundable_cents(order))} can still be refunded</p>
+    <form action="/admin/refund" method="POST">
+      <input type="hidden" name="order_number" value="${escape_html(order.order_number)}">`;
+        for (let line of refundable_lines) {
+            let refundable = refunds.refundable_quantity(order, line);
+            let sticky = (typeof form_data.return_number == 'undefined' && typeof form_data[`refund_${line.sku}`] != 'undefined') ? form_data[`refund_${line.sku}`] : '0';
+            str += `
+      ${escape_html(line.name)}: <input type="number" name="refund_${escape_html(line.sku)}" min="0" max="${refundable}" value="${escape_html(sticky)}"> of ${refundable}<br>`;
+        }
+        str += `
+      Refund to ${refund_to_select}<br>
+      <input type="submit" value="Refund Items"> <input type="submit" name="full" value="Refund Everything Left">
+    </form>`;
+    }
+    return str;
+}
+
+// history is from inventory.stock_history(): the ledger rows with running balance and whether they match products.json
+function generate_stock_history_page(sku, history) {
+    let str = `
+    <style>
+    @import url('https://fonts.googleapis.com/css2?family=Montserrat&display=swap');
+    body{
+        background-color: pink;
+        font-family: 'Montserrat', sans-serif;
+        text-align: center;
+    }
+    table{
+        margin: 0px auto;
+    }
+    #errorMessage {
+        color: red;
+    }
+    </style>
+    <body>
+    <a href='/admin'>Back to Catalog Admin</a>
+    <h1>Stock History for ${escape_html(sku)}${(typeof history.product != 'undefined') ? ' - ' + escape_html(history.product.name) : ''}</h1>
+    <table border="2">
+      <tr style="background-color: palevioletred">
+        <th>Date</th><th>Type</th><th>Change</th><th>Reason</th><th>User</th><th>Stock After</th>
+      </tr>`;
+    for (let row of history.rows) {
+        str += `
+      <tr>
+        <td>${new Date(row.time).toLocaleString()}</td>
+        <td>${escape_html(row.type)}</td>
+        <td align="right">${(row.change > 0) ? '+' : ''}${row.change}</td>
+        <td>${escape_html(row.reason)}</td>
+        <td>${escape_html(row.user)}</td>
+        <td align="right">${row.balance}</td>
+      </tr>`;
+    }
+    str += `
+    </table>
+    <p>The ledger adds up to <strong>${history.ledger_stock}</strong>.
+    ${(history.matches) ? 'This matches the quantity available in products.json.' :
+            `<span id="errorMessage">products.json says ${(typeof history.product != 'undefined') ? history.product.quantity_available : 'nothing'}, so some stock changes are missing from the ledger!</span>`}
+    </p>
+    </body>
+    `;
     return str;
 }
 
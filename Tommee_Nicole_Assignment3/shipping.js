@@ -0,0 +1,93 @@
+/*
+* Author: Nicole Tommee
+* Shipping methods (standard, express, local pickup, ...) from shipping_methods.json.
+* A method prices an order from a rate table by the order's subtotal or its weight in pounds:
+* the first row whose "under" is more than the order's amount is used (a row without "under" is for everything else),
+* and a row has a "price" in dollars or a "percent" of the subtotal. free_over makes subtotals of that much and over ship free.
+* The rates text on the cart page is made from the same tables
+*/
+var json_store = require('./json_store.js');
+var money = require('./money.js');
+
+var shipping_config = { default_method: '', default_weight: 1, methods: [] };
+
+// reads shipping_methods.json
+function load(filename) {
+    shipping_config = Object.assign(shipping_config, json_store.read_json(filename, shipping_config));
+}
+
+// the method with this id, or the default method if there isn't one
+function method(id) {
+    return shipping_config.methods.find(shipping_method => shipping_method.id == id)
+        || shipping_config.methods.find(shipping_method => shipping_method.id == shipping_config.default_method);
+}
+
+// every method with the text explaining its rates, for the cart page: [{ id, name, description, pickup, rates_text }]
+function methods() {
+    return shipping_config.methods.map(shipping_method => ({
+        id: shipping_method.id,
+        name: shipping_method.name,
+        description: shipping_method.description,
+        pickup: (shipping_method.pickup == true),
+        rates_text: rates_text(shipping_method)
+    }));
+}
+
+// pounds for one of product, products without a weight count as default_weight
+function weight_of(product) {
+    return (typeof product.weight != 'undefined') ? Number(product.weight) : shipping_config.default_weight;
+}
+
+// shipping in cents with shipping_method for an order of subtotal_cents that weighs weight pounds
+function cost_for(shipping_method, subtotal_cents, weight) {
+    if (subtotal_cents <= 0) {
+        return 0; // nothing to ship
+    }
+    if (typeof shipping_method.free_over != 'undefined' && subtotal_cents >= money.to_cents(shipping_method.free_over)) {
+        return 0;
+    }
+    // subtotal rates are in dollars, weight rates are in pounds
+    var amount = (shipping_method.rate_by == 'weight') ? weight : subtotal_cents / 100;
+    var rate = shipping_method.rates.find(rate => typeof rate.under == 'undefined' || amount < rate.under);
+    if (typeof rate.percent != 'undefined') {
+        return money.percent_of(subtotal_cents, rate.percent / 100);
+    }
+    return money.to_cents(rate.price);
+}
+
+// one line of text for each row of shipping_method's rate table, like "Subtotal under $45.00: $10.00"
+function rates_text(shipping_method) {
+    var by_weight = (shipping_method.rate_by == 'weight');
+    var amount_text = (amount) => by_weight ? `${amount} lb` : money.format(money.to_cents(amount));
+    var lines = [];
+    var from;
+    for (let rate of shipping_method.rates) {
+        let range;
+        if (typeof from == 'undefined' && typeof rate.under == 'undefined') {
+            range = 'Any order';
+        } else if (typeof from == 'undefined') {
+            range = `${by_weight ? 'Weight' : 'Subtotal'} under ${amount_text(rate.under)}`;
+        } else if (typeof rate.under == 'undefined') {
+            range = `${by_weight ? 'Weight' : 'Subtotal'} ${amount_text(from)} and over`;
+        } else {
+            range = `${by_weight ? 'Weight' : 'Subtotal'} ${amount_text(from)} to under ${amount_text(rate.under)}`;
+        }
+        let price = (typeof rate.percent != 'undefined') ? `${rate.percent}% of the subtotal`
+            : (money.to_cents(rate.price) == 0) ? 'free' : money.format(money.to_cents(rate.price));
+        lines.push(`${range}: ${price}`);
+        from = rate.under;
+    }
+    if (typeof shipping_method.free_over != 'undefined') {
+        lines.push(`Free on subtotals of ${money.format(money.to_cents(shipping_method.free_over))} and over`);
+    }
+    return lines;
+}
+
+module.exports = {
+    load: load,
+    method: method,
+    methods: methods,
+    weight_of: weight_of,
+    cost_for: cost_for,
+    rates_text: rates_text
+};
@@ -0,0 +1,64 @@
+/*
+* Author: Nicole Tommee
+* Sales tax from the rules in tax_rules.json, worked out for the address an order ships to.
+* A rule is { name, state, county, zip, rate, tax_shipping }: county and zip are optional, and a rule applies
+* when every field it has matches the address (zip can be the start of a ZIP code, like "967").
+* Every rule that applies is its own line on the invoice, so an order can have a state tax and a county surcharge.
+* tax_shipping (in a rule or for all rules) says if shipping is taxed along with the items
+*/
+var json_store = require('./json_store.js');
+var money = require('./money.js');
+
+var tax_config = { tax_shipping: false, store_address: {}, counties: {}, rules: [] };
+
+// reads tax_rules.json
+function load(filename) {
+    tax_config = Object.assign(tax_config, json_store.read_json(filename, tax_config));
+}
+
+// the counties a shopper picks from for state, or [] if the state's rules don't depend on the county
+function counties(state) {
+    return tax_config.counties[state] || [];
+}
+
+// the store's own address, used where there is no shipping address (like an in store sale)
+function store_address() {
+    return Object.assign({}, tax_config.store_address);
+}
+
+// the rules that apply to address ({ state, county, zip })
+function rules_for(address) {
+    return tax_config.rules.filter(function (rule) {
+        if (rule.state != address.state) return false;
+        if (typeof rule.county != 'undefined' && String(rule.county).toLowerCase() != String(address.county || '').toLowerCase()) return false;
+        if (typeof rule.zip != 'undefined' && !String(address.zip || '').startsWith(rule.zip)) return false;
+        return true;
+    });
+}
+
+// the tax on an order shipped to address, amounts in cents. Each line is rounded to the cent on its own.
+// tax_exempt accounts get no tax lines at all.
+// Returns { lines: [{ name, rate, taxable_cents, tax_cents }], tax_cents }
+function tax_for(address, subtotal_cents, shipping_cents, tax_exempt) {
+    var lines = [];
+    var tax_cents = 0;
+    if (tax_exempt == true) {
+        return { lines: lines, tax_cents: tax_cents };
+    }
+    for (let rule of rules_for(address)) {
+        let tax_shipping = (typeof rule.tax_shipping != 'undefined') ? rule.tax_shipping : tax_config.tax_shipping;
+        let taxable_cents = subtotal_cents + ((tax_shipping == true) ? shipping_cents : 0);
+        let line_tax_cents = money.percent_of(taxable_cents, rule.rate);
+        tax_cents += line_tax_cents;
+        lines.push({ name: rule.name, rate: rule.rate, taxable_cents: taxable_cents, tax_cents: line_tax_cents });
+    }
+    return { lines: lines, tax_cents: tax_cents };
+}
+
+module.exports = {
+    load: load,
+    counties: counties,
+    store_address: store_address,
+    rules_for: rules_for,
+    tax_for: tax_for
+};
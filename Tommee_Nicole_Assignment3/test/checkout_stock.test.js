@@ -0,0 +1,104 @@
+/*
+* Author: Nicole Tommee
+* Fires many checkouts at once against a little stock and checks nothing is oversold.
+* Each checkout works like /confirm_purchase: it waits on the payment provider, then sells its cart with inventory.sell,
+* so every checkout is waiting at the same time and they all try to sell once the cards come back
+*/
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var inventory = require('../inventory.js');
+var mock_payments = require('../mock_payments.js');
+
+var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'checkout-stock-'));
+var products_filename = path.join(directory, 'products.json');
+var ledger_filename = path.join(directory, 'stock_ledger.jsonl');
+
+// a small store: 5 mermaids and 3 scubas
+fs.writeFileSync(products_filename, JSON.stringify({
+    '20 Inch Hello Kitty': [
+        { sku: 'HK20-MERMAID', name: '20 Inch Mermaid', price: 22, quantity_available: 5 },
+        { sku: 'HK20-SCUBA', name: '20 Inch Scuba', price: 22, quantity_available: 3 }
+    ]
+}));
+var products_data = inventory.load(products_filename, ledger_filename);
+mock_payments.load(path.join(directory, 'mock_payments.json'));
+
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+// the stock of sku, in memory and in products.json on disk
+function stock(sku) {
+    var saved = JSON.parse(fs.readFileSync(products_filename, 'utf-8'));
+    return {
+        memory: products_data['20 Inch Hello Kitty'].find(product => product.sku == sku).quantity_available,
+        saved: saved['20 Inch Hello Kitty'].find(product => product.sku == sku).quantity_available
+    };
+}
+
+// starts a checkout of lines, calls back with the errors from inventory.sell ({} if it sold)
+function checkout(lines, callback) {
+    var card = { name: 'Kitty', number: '4242424242424242', expiry: '12/30', cvc: '123' };
+    mock_payments.authorize(2200, card, 'test order', function (error, result) {
+        assert.ifError(error);
+        assert.equal(result.approved, true);
+        callback(inventory.sell(lines, product => product.quantity_available, 'tester', 'test order'));
+    });
+}
+
+// fires count checkouts of lines all at once, calls back with how many sold
+function checkout_all_at_once(count, lines, callback) {
+    var sold = 0;
+    var finished = 0;
+    for (let i = 0; i < count; i++) {
+        checkout(lines, function (errors) {
+            if (Object.keys(errors).length == 0) sold++;
+            finished++;
+            if (finished == count) callback(sold);
+        });
+    }
+}
+
+test('50 checkouts of 1 mermaid at once only sell the 5 in stock', (t, done) => {
+    checkout_all_at_once(50, [{ sku: 'HK20-MERMAID', quantity: 1 }], function (sold) {
+        assert.equal(sold, 5);
+        assert.deepEqual(stock('HK20-MERMAID'), { memory: 0, saved: 0 });
+        done();
+    });
+});
+
+test('a checkout with one line that is sold out sells none of its lines', (t, done) => {
+    checkout_all_at_once(10, [{ sku: 'HK20-SCUBA', quantity: 1 }, { sku: 'HK20-MERMAID', quantity: 1 }], function (sold) {
+        assert.equal(sold, 0);
+        assert.deepEqual(stock('HK20-SCUBA'), { memory: 3, saved: 3 });
+        done();
+    });
+});
+
+test('checkouts of 2 scubas at once never take more than the 3 in stock', (t, done) => {
+    checkout_all_at_once(20, [{ sku: 'HK20-SCUBA', quantity: 2 }], function (sold) {
+        assert.equal(sold, 1);
+        assert.deepEqual(stock('HK20-SCUBA'), { memory: 1, saved: 1 });
+        done();
+    });
+});
+
+test('the stock ledger adds up to the stock that is left', () => {
+    for (let sku of ['HK20-MERMAID', 'HK20-SCUBA']) {
+        let history = inventory.stock_history(sku);
+        assert.equal(history.matches, true);
+        assert.equal(history.rows.filter(row => row.type == 'sale').length, (sku == 'HK20-MERMAID') ? 5 : 1);
+    }
+});
+
+test('reversing the sale of an order that failed puts the stock back without telling the stock listeners', () => {
+    var told = [];
+    inventory.on_stock_change(product => told.push(product.sku));
+    inventory.reverse_sale([{ sku: 'HK20-MERMAID', quantity: 2 }], 'tester', 'test order could not be saved');
+    assert.deepEqual(stock('HK20-MERMAID'), { memory: 2, saved: 2 });
+    assert.deepEqual(told, []);
+    var history = inventory.stock_history('HK20-MERMAID');
+    assert.equal(history.matches, true);
+    assert.equal(history.rows[history.rows.length - 1].type, 'reversal');
+});
@@ -0,0 +1,85 @@
+/*
+* Author: Nicole Tommee
+* The rounding cases money.js has to get right: dollar amounts floating point can't hold exactly,
+* percentages that land on half a cent, and negative amounts.
+* The Assignment 1 store keeps its own copy of money.js, so every case runs against both copies
+*/
+var test = require('node:test');
+var assert = require('node:assert');
+var copies = {
+    'money.js': require('../money.js'),
+    'Assignment 1 money.js': require('../../Tommee_Nicole_Assignment1/money.js')
+};
+
+test('the Assignment 1 copy of money.js has the same functions', () => {
+    var money = copies['money.js'];
+    var copy = copies['Assignment 1 money.js'];
+    assert.deepEqual(Object.keys(copy), Object.keys(money));
+    for (let name in money) {
+        assert.equal(copy[name].toString(), money[name].toString(), `${name} is different in Assignment 1`);
+    }
+});
+
+for (let name in copies) {
+    let money = copies[name];
+
+    test(`${name}: to_cents turns dollars into whole cents`, () => {
+        assert.equal(money.to_cents(22), 2200);
+        assert.equal(money.to_cents('22.00'), 2200);
+        assert.equal(money.to_cents(0), 0);
+        // 0.29 * 100 is 28.999999999999996 in floating point
+        assert.equal(money.to_cents(0.29), 29);
+        assert.equal(money.to_cents(0.57), 57);
+        assert.equal(money.to_cents(1.1), 110);
+    });
+
+    test(`${name}: to_cents rounds half a cent up`, () => {
+        // 1.005 * 100 is 100.49999999999999 in floating point, it is still half a cent
+        assert.equal(money.to_cents(1.005), 101);
+        assert.equal(money.to_cents(2.675), 268);
+        assert.equal(money.to_cents(1.004), 100);
+        assert.equal(money.to_cents(-1.005), -101);
+    });
+
+    test(`${name}: percent_of rounds half a cent away from zero`, () => {
+        assert.equal(money.percent_of(50, 0.01), 1);
+        assert.equal(money.percent_of(150, 0.01), 2);
+        assert.equal(money.percent_of(49, 0.01), 0);
+        assert.equal(money.percent_of(-50, 0.01), -1);
+        // 4.5% tax on $1.00 and $3.00, 300 * 0.045 is 13.499999999999998 in floating point
+        assert.equal(money.percent_of(100, 0.045), 5);
+        assert.equal(money.percent_of(300, 0.045), 14);
+        assert.equal(money.percent_of(1262, 0.04), 50);
+    });
+
+    test(`${name}: 7% of $100.50 is $7.04`, () => {
+        // 10050 * 0.07 is 703.5000000000001 in floating point
+        assert.equal(money.percent_of(10050, 0.07), 704);
+        assert.equal(money.format(money.percent_of(money.to_cents(100.50), 0.07)), '$7.04');
+    });
+
+    test(`${name}: percentages of a sum add up without drifting`, () => {
+        var subtotal_cents = 0;
+        for (let i = 0; i < 100; i++) {
+            subtotal_cents += money.to_cents(0.1);
+        }
+        assert.equal(subtotal_cents, 1000);
+        assert.equal(money.percent_of(subtotal_cents, 0.04), 40);
+    });
+
+    test(`${name}: dollars and format show cents with 2 places`, () => {
+        assert.equal(money.dollars(123450), '1234.50');
+        assert.equal(money.dollars(5), '0.05');
+        assert.equal(money.dollars(0), '0.00');
+        assert.equal(money.format(2200), '$22.00');
+        assert.equal(money.format(1), '$0.01');
+    });
+
+    test(`${name}: dollars and format put the minus sign in front of negative amounts`, () => {
+        assert.equal(money.dollars(-5), '-0.05');
+        assert.equal(money.dollars(-123450), '-1234.50');
+        assert.equal(money.format(-500), '-$5.00');
+        assert.equal(money.format(-1), '-$0.01');
+        assert.equal(money.format(-250), '-$2.50');
+    });
+}
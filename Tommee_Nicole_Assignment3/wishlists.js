@@ -0,0 +1,46 @@
+/*
+* Author: Nicole Tommee
+* Each logged in user's wishlist (also where "save for later" items from the cart go), kept in wishlists.json
+* next to user_data.json. A wishlist is { sku: quantity wanted }
+*/
+var json_store = require('./json_store.js');
+
+var wishlists_filename;
+var wishlists = {}; // { username: { sku: quantity } }
+
+// reads wishlists.json (starts with no wishlists if there isn't one yet)
+function load(filename) {
+    wishlists_filename = filename;
+    wishlists = json_store.read_json(wishlists_filename, {});
+}
+
+// username's wishlist, empty if they don't have one
+function get(username) {
+    return Object.assign({}, wishlists[username] || {});
+}
+
+// puts quantity of sku on username's wishlist (replacing what was there)
+function set_item(username, sku, quantity) {
+    if (typeof wishlists[username] == 'undefined') {
+        wishlists[username] = {};
+    }
+    wishlists[username][sku] = quantity;
+    json_store.write_json(wishlists_filename, wishlists);
+}
+
+// takes sku off username's wishlist
+function remove_item(username, sku) {
+    if (typeof wishlists[username] == 'undefined' || typeof wishlists[username][sku] == 'undefined') return;
+    delete wishlists[username][sku];
+    if (Object.keys(wishlists[username]).length == 0) {
+        delete wishlists[username];
+    }
+    json_store.write_json(wishlists_filename, wishlists);
+}
+
+module.exports = {
+    load: load,
+    get: get,
+    set_item: set_item,
+    remove_item: remove_item
+};